@@ -3,6 +3,7 @@ import { t } from './i18n';
 import io from 'socket.io-client';
 import Lobby from './components/Lobby';
 import GameRoom from './components/GameRoom';
+import TeamBadge from './components/TeamBadge';
 
 // Socket configuration: VITE_SERVER_URL takes precedence (production/fly.io)
 // Falls back to individual VITE_SOCKET_* vars for local development
@@ -13,9 +14,29 @@ const SOCKET_PROTOCOL =
   import.meta.env.VITE_SOCKET_PROTOCOL ||
   (window.location.protocol === 'https:' ? 'https' : 'http');
 
-const socket = io(
-  import.meta.env.VITE_SERVER_URL || `${SOCKET_PROTOCOL}://${SOCKET_HOST}:${SOCKET_PORT}`
-);
+const SERVER_URL =
+  import.meta.env.VITE_SERVER_URL || `${SOCKET_PROTOCOL}://${SOCKET_HOST}:${SOCKET_PORT}`;
+
+const socket = io(SERVER_URL);
+
+// Session token for rejoin_room, kept per tab so a reload or a dropped connection keeps the seat
+const SESSION_KEY = 'psg_session';
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession({ id, sessionToken }) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ roomId: id, sessionToken }));
+}
+
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
 
 // Stile per la scrollbar personalizzata (inserito direttamente qui per comodità)
 const scrollbarStyle = `
@@ -36,10 +57,23 @@ const scrollbarStyle = `
   }
 `;
 
+// Elimination games rank whoever lasted longest first, then by score
+const bySurvival = (a, b) => {
+  const outA = a.eliminatedInRound ?? Number.MAX_SAFE_INTEGER;
+  const outB = b.eliminatedInRound ?? Number.MAX_SAFE_INTEGER;
+  return outB - outA || b.score - a.score;
+};
+
 function App() {
   const [gameState, setGameState] = useState('LANDING'); // LANDING, LOBBY, PLAYING, ENDED
   const [room, setRoom] = useState(null);
   const [players, setPlayers] = useState([]);
+  const [spectators, setSpectators] = useState([]);
+  const [playerId, setPlayerId] = useState(null);
+  const [resume, setResume] = useState(null); // round state sent by the server after a rejoin
+  const [skippedSongs, setSkippedSongs] = useState([]);
+  const [teams, setTeams] = useState(null); // team mode: [{ team, score, players }] best first
+  const [rematchBy, setRematchBy] = useState(null); // name of whoever asked for a rematch
   const [playerName, setPlayerName] = useState('');
   const [totalRounds, setTotalRounds] = useState(10);
   const [errorMessage, setErrorMessage] = useState('');
@@ -47,38 +81,141 @@ function App() {
   const [selectedDecade, setSelectedDecade] = useState('');
   const [selectedLanguage, setSelectedLanguage] = useState('');
   const [selectedDifficulty, setSelectedDifficulty] = useState('easy');
+  const [selectedScoring, setSelectedScoring] = useState('linear');
+  const [selectedRoundMode, setSelectedRoundMode] = useState('first');
+  const [selectedAnswerMode, setSelectedAnswerMode] = useState('title');
+  const [selectedGameMode, setSelectedGameMode] = useState('text');
+  const [selectedHints, setSelectedHints] = useState('normal');
+  const [selectedTimers, setSelectedTimers] = useState({ countdown: 3, round: 30, intermission: 5 });
+  const [selectedSkipVotes, setSelectedSkipVotes] = useState('majority');
+  const [selectedLives, setSelectedLives] = useState(0); // elimination mode, 0 = off
+  const [selectedGuessRules, setSelectedGuessRules] = useState({ penalty: 0, cooldown: 0, maxGuesses: 0 });
+  const [selectedPhonetic, setSelectedPhonetic] = useState(false);
+  const [selectedStrictness, setSelectedStrictness] = useState('standard');
 
   useEffect(() => {
+    socket.on('connect', () => {
+      const session = loadSession();
+      if (session) {
+        socket.emit('rejoin_room', session);
+      }
+    });
+
     socket.on('room_created', (roomData) => {
       setErrorMessage(t(''));
       setRoom(roomData);
       setGameState('LOBBY');
       setPlayers(roomData.players);
+      setSpectators(roomData.spectators);
+      setPlayerId(roomData.playerId);
+      saveSession(roomData);
     });
 
-    socket.on('room_joined', (roomData) => {
-      setErrorMessage(t(''));
+    // Joining (possibly mid-game) and rejoining both land wherever the room currently is
+    const enterRoom = (roomData) => {
+      setErrorMessage('');
       setRoom(roomData);
-      setGameState('LOBBY');
       setPlayers(roomData.players);
-    });
+      setSpectators(roomData.spectators);
+      setPlayerId(roomData.playerId);
+      setTeams(roomData.teams);
+      saveSession(roomData);
+      if (roomData.state === 'PLAYING') {
+        setResume({ currentRound: roomData.currentRound, round: roomData.round, paused: roomData.paused });
+        setGameState('PLAYING');
+      } else {
+        setGameState(roomData.state === 'ENDED' ? 'ENDED' : 'LOBBY');
+      }
+      // A rematch starts from the options of the game just played
+      if (roomData.state === 'LOBBY' && roomData.lastSetup) {
+        const setup = roomData.lastSetup;
+        setSelectedGenres(setup.genres);
+        setSelectedDecade(setup.decade || '');
+        setTotalRounds(setup.rounds);
+        setSelectedLanguage(setup.language || '');
+        setSelectedDifficulty(setup.difficulty);
+        setSelectedScoring(setup.scoring);
+        setSelectedRoundMode(setup.roundMode);
+        setSelectedAnswerMode(setup.answerMode);
+        setSelectedGameMode(setup.gameMode);
+        setSelectedHints(setup.hints);
+        setSelectedTimers(setup.timers);
+        setSelectedSkipVotes(setup.skipVotes);
+        setSelectedLives(setup.lives);
+        setSelectedGuessRules(setup.guessRules);
+        setSelectedPhonetic(setup.phonetic);
+        setSelectedStrictness(setup.strictness);
+      }
+    };
+
+    socket.on('room_joined', enterRoom);
+    socket.on('room_rejoined', enterRoom);
 
     socket.on('player_joined', (updatedPlayers) => {
       setPlayers(updatedPlayers);
     });
 
-    socket.on('game_started', ({ totalRounds }) => {
-      setRoom(prev => ({ ...prev, totalRounds }));
+    socket.on('spectators_updated', (updatedSpectators) => {
+      setSpectators(updatedSpectators);
+    });
+
+    socket.on('host_changed', ({ hostId }) => {
+      setRoom(prev => prev && { ...prev, hostId });
+    });
+
+    socket.on('room_locked', ({ locked }) => {
+      setRoom(prev => prev && { ...prev, locked });
+    });
+
+    socket.on('kicked', ({ banned }) => {
+      // Banned players keep their token so joining again is refused
+      if (!banned) clearSession();
+      setGameState('LANDING');
+      setRoom(null);
+      setPlayers([]);
+      setErrorMessage(t(banned ? 'errors.banned' : 'errors.kicked'));
+    });
+
+    socket.on('game_loading', () => {
+      setRoom(prev => prev && { ...prev, state: 'LOADING' });
+    });
+
+    socket.on('teams_changed', ({ teamCount }) => {
+      setRoom(prev => prev && { ...prev, teamCount });
+    });
+
+    socket.on('game_started', ({ totalRounds, settings, teams: startingTeams }) => {
+      setRoom(prev => ({ ...prev, totalRounds, settings }));
+      setTeams(startingTeams);
       setGameState('PLAYING');
     });
 
-    socket.on('update_scores', (updatedPlayers) => {
+    socket.on('update_scores', ({ players: updatedPlayers, teams: updatedTeams }) => {
       setPlayers(updatedPlayers);
+      setTeams(updatedTeams);
     });
 
-    socket.on('game_over', (finalPlayers) => {
+    // A skipped song without a backup shortens the game
+    socket.on('song_skipped', ({ totalRounds }) => {
+      setRoom(prev => ({ ...prev, totalRounds }));
+    });
+
+    // Elimination games get more songs when the playlist runs out
+    socket.on('playlist_extended', ({ totalRounds }) => {
+      setRoom(prev => ({ ...prev, totalRounds }));
+    });
+
+    socket.on('game_over', ({ players: finalPlayers, teams: finalTeams, skipped }) => {
+      clearSession();
       setGameState('ENDED');
       setPlayers(finalPlayers);
+      setTeams(finalTeams);
+      setSkippedSongs(skipped);
+      setRematchBy(null);
+    });
+
+    socket.on('rematch_offered', ({ by }) => {
+      setRematchBy(by);
     });
 
     socket.on('connect_error', () => {
@@ -86,6 +223,11 @@ function App() {
     });
 
     socket.on('disconnect', () => {
+      // With a session the socket reconnects on its own and rejoin_room restores the game
+      if (loadSession()) {
+        setErrorMessage(t('errors.reconnecting'));
+        return;
+      }
       setGameState('LANDING');
       setRoom(null);
       setPlayers([]);
@@ -94,24 +236,54 @@ function App() {
 
     socket.on('error', (payload) => {
       const code = typeof payload === 'string' ? payload : payload?.code;
-      if (code === 'ROOM_NOT_FOUND_OR_STARTED') {
+      if (code === 'SESSION_EXPIRED') {
+        clearSession();
+        setGameState('LANDING');
+        setRoom(null);
+        setPlayers([]);
+        setErrorMessage(t('errors.sessionExpired'));
+      } else if (code === 'BANNED') {
+        setGameState('LANDING');
+        setRoom(null);
+        setPlayers([]);
+        setErrorMessage(t('errors.banned'));
+      } else if (code === 'ROUND_IN_PROGRESS') {
+        setErrorMessage(t('errors.roundInProgress'));
+      } else if (code === 'ROOM_LOCKED') {
+        setErrorMessage(t('errors.roomLocked'));
+      } else if (code === 'ROOM_NOT_FOUND_OR_STARTED') {
         setErrorMessage(t('errors.roomNotFound'));
       } else if (code === 'AI_TIMEOUT') {
+        setRoom(prev => prev && { ...prev, state: 'LOBBY' });
         setErrorMessage(t('errors.aiTimeout'));
       } else if (code === 'GENERATION_FAILED') {
+        setRoom(prev => prev && { ...prev, state: 'LOBBY' });
         setErrorMessage(t('errors.generationFailed'));
+      } else if (code === 'UNAUTHORIZED') {
+        setErrorMessage(t('errors.notHost'));
       } else {
         setErrorMessage(t('errors.generic'));
       }
     });
 
     return () => {
+      socket.off('connect');
       socket.off('room_created');
       socket.off('room_joined');
+      socket.off('room_rejoined');
       socket.off('player_joined');
+      socket.off('spectators_updated');
+      socket.off('host_changed');
+      socket.off('game_loading');
+      socket.off('room_locked');
+      socket.off('kicked');
+      socket.off('teams_changed');
       socket.off('game_started');
       socket.off('update_scores');
+      socket.off('song_skipped');
+      socket.off('playlist_extended');
       socket.off('game_over');
+      socket.off('rematch_offered');
       socket.off('connect_error');
       socket.off('disconnect');
       socket.off('error');
@@ -127,7 +299,7 @@ function App() {
     socket.emit('create_room', { playerName });
   };
 
-  const joinRoom = (roomId) => {
+  const joinRoom = (roomId, spectate = false) => {
     if (!playerName) {
       setErrorMessage(t('errors.missingNameJoin'));
       return;
@@ -137,7 +309,10 @@ function App() {
       return;
     }
     setErrorMessage('');
-    socket.emit('join_room', { roomId, playerName });
+    // A previous seat in the same room lets the server recognise banned players
+    const session = loadSession();
+    const sessionToken = session?.roomId === roomId ? session.sessionToken : undefined;
+    socket.emit('join_room', { roomId, playerName, sessionToken, spectate });
   };
 
   const startGame = () => {
@@ -149,11 +324,66 @@ function App() {
         decade: selectedDecade || null,
         rounds: totalRounds,
         language: selectedLanguage || null,
-        difficulty: selectedDifficulty || 'easy'
+        difficulty: selectedDifficulty || 'easy',
+        scoring: selectedScoring,
+        roundMode: selectedRoundMode,
+        answerMode: selectedAnswerMode,
+        gameMode: selectedGameMode,
+        hints: selectedHints,
+        timers: selectedTimers,
+        skipVotes: selectedSkipVotes,
+        lives: selectedLives,
+        guessRules: selectedGuessRules,
+        phonetic: selectedPhonetic,
+        strictness: selectedStrictness
       });
     }
   };
 
+  const transferHost = (targetId) => {
+    if (room) {
+      socket.emit('transfer_host', { roomId: room.id, playerId: targetId });
+    }
+  };
+
+  const kickPlayer = (targetId, ban = false) => {
+    if (room) {
+      socket.emit(ban ? 'ban_player' : 'kick_player', { roomId: room.id, playerId: targetId });
+    }
+  };
+
+  const promoteSpectator = (targetId) => {
+    if (room) {
+      socket.emit('promote_spectator', { roomId: room.id, playerId: targetId });
+    }
+  };
+
+  // Team mode: 0 turns it off, any other count (re)shuffles the teams
+  const changeTeamCount = (teamCount) => {
+    if (room) {
+      socket.emit('set_teams', { roomId: room.id, teamCount });
+    }
+  };
+
+  const movePlayerTeam = (targetId, team) => {
+    if (room) {
+      socket.emit('set_player_team', { roomId: room.id, playerId: targetId, team });
+    }
+  };
+
+  const toggleLock = () => {
+    if (room) {
+      socket.emit('lock_room', { roomId: room.id, locked: !room.locked });
+    }
+  };
+
+  const requestRematch = () => {
+    if (room) {
+      setErrorMessage('');
+      socket.emit('rematch', { roomId: room.id });
+    }
+  };
+
   const toggleGenre = (genreKey) => {
     setSelectedGenres((prev) =>
       prev.includes(genreKey)
@@ -230,7 +460,16 @@ function App() {
                 room={room}
                 players={players}
                 startGame={startGame}
-                isOwner={room.players[0].id === socket.id}
+                isOwner={room.hostId === playerId}
+                hostId={room.hostId}
+                playerId={playerId}
+                transferHost={transferHost}
+                kickPlayer={kickPlayer}
+                toggleLock={toggleLock}
+                changeTeamCount={changeTeamCount}
+                movePlayerTeam={movePlayerTeam}
+                spectators={spectators}
+                promoteSpectator={promoteSpectator}
                 totalRounds={totalRounds}
                 setTotalRounds={setTotalRounds}
                 selectedGenres={selectedGenres}
@@ -241,12 +480,46 @@ function App() {
                 setSelectedLanguage={setSelectedLanguage}
                 selectedDifficulty={selectedDifficulty}
                 setSelectedDifficulty={setSelectedDifficulty}
+                selectedScoring={selectedScoring}
+                setSelectedScoring={setSelectedScoring}
+                selectedRoundMode={selectedRoundMode}
+                setSelectedRoundMode={setSelectedRoundMode}
+                selectedAnswerMode={selectedAnswerMode}
+                setSelectedAnswerMode={setSelectedAnswerMode}
+                selectedGameMode={selectedGameMode}
+                setSelectedGameMode={setSelectedGameMode}
+                selectedHints={selectedHints}
+                setSelectedHints={setSelectedHints}
+                selectedTimers={selectedTimers}
+                setSelectedTimers={setSelectedTimers}
+                selectedSkipVotes={selectedSkipVotes}
+                setSelectedSkipVotes={setSelectedSkipVotes}
+                selectedLives={selectedLives}
+                setSelectedLives={setSelectedLives}
+                selectedGuessRules={selectedGuessRules}
+                setSelectedGuessRules={setSelectedGuessRules}
+                selectedPhonetic={selectedPhonetic}
+                setSelectedPhonetic={setSelectedPhonetic}
+                selectedStrictness={selectedStrictness}
+                setSelectedStrictness={setSelectedStrictness}
                 errorMessage={errorMessage}
               />
             )}
 
             {gameState === 'PLAYING' && (
-              <GameRoom socket={socket} room={room} players={players} />
+              <GameRoom
+                socket={socket}
+                serverUrl={SERVER_URL}
+                room={room}
+                players={players}
+                spectators={spectators}
+                teams={teams}
+                resume={resume}
+                playerId={playerId}
+                transferHost={transferHost}
+                kickPlayer={kickPlayer}
+                promoteSpectator={promoteSpectator}
+              />
             )}
 
             {gameState === 'ENDED' && (
@@ -259,7 +532,29 @@ function App() {
                     'overflow-y-auto' abilita la barra
                 */}
                 <div className="flex-1 overflow-y-auto min-h-0 custom-scrollbar pr-2 space-y-2 mb-4">
-                  {players.sort((a, b) => b.score - a.score).map((p, i) => (
+                  {/* Team mode: teams ranked first, each with what its players brought in */}
+                  {teams && teams.map((team, i) => (
+                    <div
+                      key={team.team}
+                      className={`p-3 rounded text-left ${i === 0 ? 'bg-yellow-500/20 border border-yellow-500/50' : 'bg-gray-700'}`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-bold flex items-center gap-2">
+                          {i === 0 && '👑'} {i + 1}. <TeamBadge team={team.team} />
+                        </span>
+                        <span className="font-mono bg-gray-900 px-2 py-1 rounded text-purple-300 ml-2 whitespace-nowrap">
+                          {team.score} pts
+                        </span>
+                      </div>
+                      {team.players.map(p => (
+                        <div key={p.id} className="flex justify-between text-sm text-gray-300 mt-1 pl-6">
+                          <span className="truncate">{p.name}</span>
+                          <span className="font-mono">{p.score}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                  {!teams && players.sort(room?.settings?.lives ? bySurvival : (a, b) => b.score - a.score).map((p, i) => (
                     <div
                       key={p.id}
                       className={`flex items-center justify-between p-3 rounded ${i === 0 ? 'bg-yellow-500/20 border border-yellow-500/50' : 'bg-gray-700'
@@ -275,6 +570,26 @@ function App() {
                   ))}
                 </div>
 
+                {skippedSongs.length > 0 && (
+                  <div className="text-left text-sm text-gray-400 mb-4 flex-shrink-0">
+                    <p className="font-bold mb-1">{t('game.skippedSongs')}</p>
+                    {skippedSongs.map((song, i) => (
+                      <p key={i} className="truncate">⏭ {song.title} — {song.artist}</p>
+                    ))}
+                  </div>
+                )}
+
+                {rematchBy && (
+                  <p className="text-sm text-purple-300 mb-2 flex-shrink-0">
+                    {rematchBy} {t('game.wantsRematch')}
+                  </p>
+                )}
+                <button
+                  onClick={requestRematch}
+                  className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded-lg transition transform hover:scale-105 flex-shrink-0 mb-2"
+                >
+                  {rematchBy ? t('game.joinRematch') : t('game.rematch')}
+                </button>
                 <button
                   onClick={() => window.location.reload()}
                   className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded-lg transition transform hover:scale-105 flex-shrink-0"
@@ -310,6 +625,12 @@ function FormJoin({ joinRoom }) {
       >
         {t('landing.joinButton')}
       </button>
+      <button
+        onClick={() => joinRoom(id, true)}
+        className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded w-full sm:w-auto"
+      >
+        {t('landing.watchButton')}
+      </button>
     </div>
   )
 }
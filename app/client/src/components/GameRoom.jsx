@@ -1,18 +1,55 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { t } from '../i18n';
+import TeamBadge from './TeamBadge';
 
-export default function GameRoom({ socket, room, players }) {
+export default function GameRoom({ socket, serverUrl, room, players, spectators, teams, resume, playerId, transferHost, kickPlayer, promoteSpectator }) {
     const [currentRound, setCurrentRound] = useState(0);
     const [status, setStatus] = useState('Get Ready...'); // Get Ready, Playing, Round Over
     const [guess, setGuess] = useState('');
-    const [roundResult, setRoundResult] = useState(null); // { winner: 'Name', song: {...} }
+    const [roundResult, setRoundResult] = useState(null); // { winner: 'Name', song: {...}, points, timeMs, results }
+    const [guessedBy, setGuessedBy] = useState([]); // "everyone" rounds: [{ player, field }] in the order they got it
+    const [myResult, setMyResult] = useState(null); // { points, timeMs, rank }
+    const [foundParts, setFoundParts] = useState({}); // title/artist mode: { title: { player, value }, artist: ... }
+    const [options, setOptions] = useState(null); // multiple-choice mode: [{ id, label }]
+    const [pickedOption, setPickedOption] = useState(null);
+    const [lockedOut, setLockedOut] = useState(false);
+    const [myYear, setMyYear] = useState(null); // "guess the year" mode: the year this player locked in
+    const [hints, setHints] = useState([]); // [{ index, type, text?, artwork? }] in the order received
+    const [snippet, setSnippet] = useState(null); // heardle mode: { seconds, stages }
+    const [playhead, setPlayhead] = useState(0);
+    const [roundTimer, setRoundTimer] = useState(null); // { endsAt (local clock), durationMs }
     const [errorMessage, setErrorMessage] = useState(null);
     const audioRef = useRef(new Audio());
     const inputRef = useRef(null);
+    const snippetTimerRef = useRef(null);
+    const continuousAudioRef = useRef(false); // whether resuming after a pause should restart the audio
+    const [paused, setPaused] = useState(false);
+    const [skipVotes, setSkipVotes] = useState(null); // { votes, required } once someone voted this round
+    const [votedSkip, setVotedSkip] = useState(false);
+    const [knockedOut, setKnockedOut] = useState([]); // elimination mode: names eliminated this round
+    const [cooldown, setCooldown] = useState(null); // { endsAt, durationMs } while a wrong guess blocks the next one
+    const cooldownTimerRef = useRef(null);
+    const [closeFields, setCloseFields] = useState(null); // fields the last wrong guess nearly matched
+
+    const yearMode = room?.settings?.gameMode === 'year';
+    const isHost = room?.hostId === playerId;
+    const canVoteSkip = room?.settings?.skipVotes && room.settings.skipVotes !== 'off';
+    const me = spectators.find(s => s.id === playerId);
+    // Only typed answers can be split into title and artist
+    const typedAnswers = !room?.settings?.gameMode || room.settings.gameMode === 'text' || room.settings.gameMode === 'heardle';
+    const answerFields = typedAnswers && room?.settings?.answerMode === 'title_artist' ? ['title', 'artist'] : ['title'];
 
     const [countdown, setCountdown] = useState(null);
 
     useEffect(() => {
+        const audio = audioRef.current;
+        // The snippet timeout is only set later, so the cleanup keeps a handle on the ref rather than its value
+        const snippetTimer = snippetTimerRef;
+        const onTimeUpdate = () => setPlayhead(audio.currentTime);
+        audio.addEventListener('timeupdate', onTimeUpdate);
+
+        const playSnippet = (seconds) => playFromStart(audio, seconds, snippetTimer);
+
         socket.on('start_countdown', ({ duration }) => {
             setStatus(t('game.getReady')); // Or specific status
             setCountdown(duration);//test
@@ -27,13 +64,31 @@ export default function GameRoom({ socket, room, players }) {
             }, 1000);
         });
 
-        socket.on('new_round', ({ roundNumber, previewUrl }) => {
+        const beginRound = ({ roundNumber, audioUrl, options, snippetSeconds, snippetStages, duration, endsAt, serverTime, position = 0 }) => {
             setCountdown(null);
+            // Translate the server deadline to this device's clock
+            setRoundTimer(endsAt ? { endsAt: endsAt - (serverTime - Date.now()), durationMs: duration * 1000 } : null);
             setCurrentRound(roundNumber);
             setStatus('PLAYING');
             setRoundResult(null);
+            setGuessedBy([]);
+            setMyResult(null);
+            setFoundParts({});
+            setOptions(options || null);
+            setPickedOption(null);
+            setLockedOut(false);
+            setMyYear(null);
+            setHints([]);
+            setSnippet(snippetSeconds ? { seconds: snippetSeconds, stages: snippetStages } : null);
+            setPlayhead(0);
             setErrorMessage(null);
             setGuess('');
+            setSkipVotes(null);
+            setVotedSkip(false);
+            setKnockedOut([]);
+            clearTimeout(cooldownTimerRef.current);
+            setCooldown(null);
+            setCloseFields(null);
 
             // Focus input and place cursor at end
             setTimeout(() => {
@@ -42,27 +97,166 @@ export default function GameRoom({ socket, room, players }) {
                 }
             }, 100);
 
-            // Play Audio
-            audioRef.current.src = previewUrl;
-            audioRef.current.volume = 0.5;
-            audioRef.current.play().catch(e => console.error("Autoplay prevent?", e));
+            // Play Audio through the server proxy (the original preview URL is never sent)
+            audio.src = `${serverUrl}${audioUrl}`;
+            audio.volume = 0.5;
+            continuousAudioRef.current = !snippetSeconds;
+            if (snippetSeconds) {
+                playSnippet(snippetSeconds);
+            } else {
+                clearTimeout(snippetTimer.current);
+                audio.currentTime = position;
+                audio.play().catch(e => console.error("Autoplay prevent?", e));
+            }
+        };
+
+        socket.on('new_round', beginRound);
+
+        const pauseAudio = () => {
+            clearTimeout(snippetTimer.current);
+            audio.pause();
+        };
+
+        socket.on('game_paused', () => {
+            setPaused(true);
+            pauseAudio();
+        });
+
+        socket.on('game_resumed', ({ endsAt, serverTime }) => {
+            setPaused(false);
+            // endsAt is only sent while a round is running
+            if (endsAt) {
+                setRoundTimer(prev => prev && { ...prev, endsAt: endsAt - (serverTime - Date.now()) });
+                if (continuousAudioRef.current) {
+                    audio.play().catch(e => console.error("Autoplay prevent?", e));
+                }
+            }
+        });
+
+        // Back after a dropped connection: pick the round up where the others are
+        if (resume) {
+            setCurrentRound(resume.currentRound);
+            setPaused(!!resume.paused);
+            if (resume.round) {
+                const { hints, guessed, mine, lockedOut } = resume.round;
+                beginRound(resume.round);
+                setHints(hints);
+                setGuessedBy(guessed.filter(g => !g.value));
+                setFoundParts(Object.fromEntries(guessed.filter(g => g.value).map(g => [g.field, { player: g.player, value: g.value }])));
+                setLockedOut(lockedOut);
+                if (mine?.year) {
+                    setMyYear(mine.year);
+                } else if (mine) {
+                    setMyResult({ points: mine.points, timeMs: mine.timeMs, rank: mine.rank });
+                    setFoundParts(prev => {
+                        const next = { ...prev };
+                        mine.fields.forEach(f => { next[f] = next[f] || { player: null, value: null }; });
+                        return next;
+                    });
+                }
+                if (mine?.year || mine?.done) setStatus('GUESSED');
+            }
+            if (resume.paused) pauseAudio();
+        }
+
+        socket.on('snippet_extended', ({ seconds }) => {
+            setSnippet(prev => prev && { ...prev, seconds });
+            playSnippet(seconds);
         });
 
-        socket.on('round_winner', ({ player, song }) => {
+        socket.on('round_winner', ({ player, song, points, timeMs }) => {
             // Show quick winner message but immediately move to next song (handled server-side)
             setStatus('ROUND_OVER');
-            setRoundResult({ winner: player, song });
+            setRoundResult({ winner: player, song, points, timeMs });
             audioRef.current.pause();
         });
 
-        socket.on('round_timeout', ({ song }) => {
+        socket.on('correct_guess', ({ points, timeMs, rank, fields, done }) => {
+            setMyResult({ points, timeMs, rank });
+            setErrorMessage(null);
+            setCloseFields(null);
+            setFoundParts(prev => {
+                const next = { ...prev };
+                fields.forEach(f => { next[f] = next[f] || { player: null, value: null }; });
+                return next;
+            });
+            // Nothing left for this player to guess until the round ends
+            if (done) setStatus('GUESSED');
+        });
+
+        socket.on('player_guessed', ({ player, field, value }) => {
+            // The server only reveals the value when the part is closed for everyone
+            if (value) {
+                setFoundParts(prev => ({ ...prev, [field]: { player, value } }));
+            } else {
+                setGuessedBy(prev => [...prev, { player, field }]);
+            }
+        });
+
+        socket.on('round_over', ({ song, results }) => {
             setStatus('ROUND_OVER');
-            setRoundResult({ winner: null, song }); // No winner
+            setRoundResult({ winner: null, song, results });
+            audioRef.current.pause();
+        });
+
+        socket.on('hint', (hint) => {
+            setHints(prev => [...prev, hint]);
+        });
+
+        socket.on('year_submitted', ({ year }) => {
+            setMyYear(year);
+            setStatus('GUESSED');
+        });
+
+        socket.on('round_timeout', ({ song, guesses }) => {
+            setStatus('ROUND_OVER');
+            setRoundResult({ winner: null, song, guesses }); // No winner; year rounds reveal every answer
             audioRef.current.pause();//test
         });
 
-        socket.on('wrong_guess', () => {
-            setErrorMessage(t('game.wrongGuess'));
+        socket.on('player_eliminated', ({ player }) => {
+            setKnockedOut(prev => [...prev, player]);
+        });
+
+        socket.on('skip_votes', (counts) => {
+            setSkipVotes(counts);
+        });
+
+        // App also listens (to update the round count), so only this handler is removed on cleanup
+        const onSongSkipped = ({ song }) => {
+            setStatus('ROUND_OVER');
+            setRoundResult({ winner: null, skipped: true, song });
+            pauseAudio();
+        };
+        socket.on('song_skipped', onSongSkipped);
+
+        socket.on('wrong_guess', ({ penalty, cooldownMs, guessesLeft, lockedOut }) => {
+            setCloseFields(null);
+            if (lockedOut) {
+                setLockedOut(true);
+                setErrorMessage(t('game.lockedOut'));
+                return;
+            }
+            setErrorMessage([
+                t('game.wrongGuess'),
+                penalty > 0 && `-${penalty} ${t('game.points')}`,
+                guessesLeft != null && `${guessesLeft} ${t('game.guessesLeft')}`
+            ].filter(Boolean).join(' · '));
+            if (cooldownMs > 0) {
+                setCooldown({ endsAt: Date.now() + cooldownMs, durationMs: cooldownMs });
+                clearTimeout(cooldownTimerRef.current);
+                cooldownTimerRef.current = setTimeout(() => setCooldown(null), cooldownMs);
+            }
+        });
+
+        // Sent right after wrong_guess when the guess was nearly right
+        socket.on('close_guess', ({ fields }) => {
+            setCloseFields(fields);
+        });
+
+        socket.on('wrong_choice', () => {
+            setLockedOut(true);
+            setErrorMessage(t('game.lockedOut'));
         });
 
         // Clean up listeners
@@ -70,21 +264,82 @@ export default function GameRoom({ socket, room, players }) {
             socket.off('start_countdown');
             socket.off('new_round');
             socket.off('round_winner');
+            socket.off('correct_guess');
+            socket.off('player_guessed');
+            socket.off('round_over');
+            socket.off('hint');
+            socket.off('year_submitted');
             socket.off('round_timeout');
             socket.off('wrong_guess');
-            audioRef.current.pause();
+            socket.off('close_guess');
+            socket.off('wrong_choice');
+            socket.off('snippet_extended');
+            socket.off('game_paused');
+            socket.off('game_resumed');
+            socket.off('skip_votes');
+            socket.off('player_eliminated');
+            socket.off('song_skipped', onSongSkipped);
+            audio.removeEventListener('timeupdate', onTimeUpdate);
+            clearTimeout(snippetTimer.current);
+            clearTimeout(cooldownTimerRef.current);
+            audio.pause();
         };
-    }, [socket]);
+    }, [socket, serverUrl, resume]);
 
     const submitGuess = (e) => {
         e.preventDefault();
-        if (guess.trim()) {
+        if (cooldown || lockedOut) return;
+        if (yearMode) {
+            const year = parseInt(guess, 10);
+            if (!Number.isNaN(year)) {
+                setErrorMessage(null);
+                socket.emit('submit_year', { roomId: room.id, year });
+            }
+        } else if (guess.trim()) {
             setErrorMessage(null);
             socket.emit('submit_guess', { roomId: room.id, guess });
             // Optionally clear guess or give feedback "Submitted"
         }
     };
 
+    const replaySnippet = () => {
+        if (!snippet || status === 'ROUND_OVER') return;
+        playFromStart(audioRef.current, snippet.seconds, snippetTimerRef);
+    };
+
+    const skipSnippet = () => {
+        if (status !== 'PLAYING') return;
+        socket.emit('skip_snippet', { roomId: room.id });
+    };
+
+    const voteSkip = () => {
+        setVotedSkip(true);
+        socket.emit('vote_skip', { roomId: room.id });
+    };
+
+    const submitChoice = (optionId) => {
+        if (status !== 'PLAYING' || lockedOut || pickedOption) return;
+        setPickedOption(optionId);
+        socket.emit('submit_choice', { roomId: room.id, optionId });
+    };
+
+    const artworkHint = hints.find(h => h.type === 'artwork');
+    // Later letter hints replace earlier ones; the artist line stays
+    const textHints = [
+        ...hints.filter(h => h.type === 'blanks' || h.type === 'initials').slice(-1),
+        ...hints.filter(h => h.type === 'artist')
+    ];
+
+    const optionClass = (option) => {
+        if (status === 'ROUND_OVER' && roundResult?.song?.title === option.label) {
+            return 'bg-green-700 border-green-400';
+        }
+        if (option.id === pickedOption) {
+            return lockedOut ? 'bg-red-800 border-red-500' : 'bg-purple-700 border-purple-400';
+        }
+        return 'bg-gray-800 border-gray-700 hover:border-purple-500';
+    };
+
     return (
         <div className="w-full max-w-2xl flex flex-col items-center px-2 sm:px-4">
 
@@ -93,56 +348,239 @@ export default function GameRoom({ socket, room, players }) {
                     {t('game.round')} {currentRound} / {room?.totalRounds || 10}
                 </div>
                 <div className="text-lg sm:text-xl font-bold animate-pulse text-purple-400">
-                    {status === 'PLAYING' ? t('game.guessTheSong') : status}
+                    {status === 'PLAYING' ? t('game.guessTheSong') : status === 'GUESSED' ? t('game.waitingOthers') : status}
                 </div>
             </div>
 
+            {isHost && (
+                <div className="w-full flex justify-end gap-2 mb-4 px-2 sm:px-4">
+                    <button
+                        type="button"
+                        onClick={() => socket.emit(paused ? 'resume_game' : 'pause_game', { roomId: room.id })}
+                        className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded-lg text-sm font-bold"
+                    >
+                        {paused ? `▶ ${t('game.resume')}` : `⏸ ${t('game.pause')}`}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => socket.emit('skip_song', { roomId: room.id })}
+                        disabled={status !== 'PLAYING' && status !== 'GUESSED'}
+                        className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 px-3 py-1 rounded-lg text-sm font-bold"
+                    >
+                        ⏭ {t('game.skipSong')}
+                    </button>
+                </div>
+            )}
+
+            {roundTimer && (status === 'PLAYING' || status === 'GUESSED') && (
+                <TimerBar key={currentRound} endsAt={roundTimer.endsAt} durationMs={roundTimer.durationMs} frozen={paused} />
+            )}
+
             {/* Visualizer / Album Art placeholder */}
             <div className="w-36 h-36 sm:w-64 sm:h-64 bg-gray-800 rounded-xl mb-6 sm:mb-8 flex items-center justify-center shadow-lg border-4 border-gray-700 relative overflow-hidden">
                 {status === 'ROUND_OVER' && roundResult?.song?.artwork ? (
                     <img src={roundResult.song.artwork.replace('100x100', '400x400')} alt="Album Art" className="w-full h-full object-cover" />
+                ) : artworkHint ? (
+                    <img src={artworkHint.artwork} alt="" className="w-full h-full object-cover blur-lg scale-110" />
                 ) : (
                     <div className="text-6xl">❓</div>
                 )}
             </div>
 
+            {status !== 'ROUND_OVER' && textHints.length > 0 && (
+                <div className="mb-4 w-full bg-gray-800/80 border border-yellow-600/50 rounded-lg px-4 py-2 text-center space-y-1">
+                    <p className="text-xs uppercase tracking-wider text-yellow-400 font-bold">{t('game.hint')}</p>
+                    {textHints.map(h => (
+                        <p key={h.index} className={h.type === 'artist' ? 'text-base' : 'font-mono tracking-widest text-base sm:text-lg break-words'}>
+                            {h.type === 'artist' ? `${t('game.field_artist')}: ${h.text}` : h.text}
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            {status === 'GUESSED' && myYear !== null && (
+                <div className="mb-4 text-center text-purple-300 font-bold">
+                    {t('game.yourYear')} {myYear}
+                </div>
+            )}
+
+            {status === 'GUESSED' && myResult && (
+                <div className="mb-4 text-center text-green-400 font-bold">
+                    {t('game.youGotIt')} #{myResult.rank} · +{myResult.points} {t('game.points')} · {(myResult.timeMs / 1000).toFixed(1)}s
+                </div>
+            )}
+
+            {answerFields.length > 1 && (status === 'PLAYING' || status === 'GUESSED') && (
+                <div className="mb-4 w-full grid grid-cols-2 gap-2 text-sm">
+                    {answerFields.map(f => (
+                        <div
+                            key={f}
+                            className={`px-3 py-2 rounded border text-center ${foundParts[f] ? 'bg-green-900/60 border-green-600' : 'bg-gray-800 border-gray-700 text-gray-400'}`}
+                        >
+                            <span className="font-bold">{t(`game.field_${f}`)}</span>{' '}
+                            {foundParts[f]
+                                ? `✓ ${foundParts[f].value || ''}${foundParts[f].player ? ` (${foundParts[f].player})` : ''}`
+                                : '?'}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {(status === 'PLAYING' || status === 'GUESSED') && guessedBy.length > 0 && (
+                <div className="mb-4 flex flex-wrap justify-center gap-2 text-sm">
+                    {guessedBy.map(({ player, field }, i) => (
+                        <span key={`${player}-${field}-${i}`} className="bg-green-900/60 border border-green-600 px-2 py-1 rounded">
+                            {player} ✓{answerFields.length > 1 && ` ${t(`game.field_${field}`)}`}
+                        </span>
+                    ))}
+                </div>
+            )}
+
             {status === 'ROUND_OVER' && roundResult && (
                 <div className="mb-6 text-center animate-bounce px-2">
                     <h3 className="text-lg sm:text-xl text-green-400 font-bold">
-                        {roundResult.winner
-                            ? `${roundResult.winner} ${t('game.guessed')}`
-                            : t('game.timeUp')}
+                        {roundResult.skipped
+                            ? `⏭ ${t('game.songSkipped')}`
+                            : roundResult.winner
+                                ? `${roundResult.winner} ${t('game.guessed')}`
+                                : roundResult.results?.length
+                                    ? t('game.roundOver')
+                                    : t('game.timeUp')}
                     </h3>
+                    {roundResult.results?.length > 0 && (
+                        <ol className="text-sm text-purple-300 font-mono mb-1">
+                            {roundResult.results.map(r => (
+                                <li key={`${r.playerId}-${r.field}`}>
+                                    {r.rank}. {r.player}{answerFields.length > 1 && ` · ${t(`game.field_${r.field}`)}`} +{r.points} {t('game.points')} · {(r.timeMs / 1000).toFixed(1)}s
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                    {roundResult.winner && roundResult.points != null && (
+                        <p className="text-sm text-purple-300 font-mono">
+                            +{roundResult.points} {t('game.points')} · {(roundResult.timeMs / 1000).toFixed(1)}s
+                        </p>
+                    )}
                     <p className="text-base sm:text-lg break-words">
                         {roundResult.song.title} - <span className="text-gray-400">{roundResult.song.artist}</span>
                     </p>
+                    {roundResult.guesses && (
+                        <>
+                            <p className="text-sm text-gray-300">
+                                {t('game.releasedIn')} <span className="font-bold text-white">{roundResult.song.releaseYear}</span>
+                            </p>
+                            <ul className="text-sm text-purple-300 font-mono mt-1">
+                                {roundResult.guesses.map(g => (
+                                    <li key={g.playerId}>
+                                        {g.player}: {g.year} (+{g.points} {t('game.points')})
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                    {knockedOut.map(name => (
+                        <p key={name} className="text-sm text-red-400 font-bold mt-1">💀 {name} {t('game.isOut')}</p>
+                    ))}
                 </div>
             )}
 
-            <form onSubmit={submitGuess} className="w-full flex flex-col sm:flex-row gap-2">
-                <input
-                    ref={inputRef}
-                    type="text"
-                    value={guess}
-                    onChange={e => setGuess(e.target.value)}
-                    onFocus={e => {
-                        const val = e.target.value;
-                        e.target.value = '';
-                        e.target.value = val;
-                    }}
-                    placeholder={t('game.inputPlaceholder')}
-                    disabled={status !== 'PLAYING'}
-                    className="flex-1 p-3 sm:p-4 rounded-lg bg-gray-800 border-2 border-gray-700 focus:border-purple-500 focus:outline-none text-base sm:text-lg"
-                    autoFocus
-                />
+            {snippet && status !== 'ROUND_OVER' && (
+                <div className="w-full mb-4">
+                    <SnippetBar stages={snippet.stages} seconds={snippet.seconds} playhead={playhead} />
+                    <div className="flex justify-between items-center mt-2 gap-2">
+                        <button
+                            type="button"
+                            onClick={replaySnippet}
+                            className="bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded-lg font-bold text-sm"
+                        >
+                            ▶ {snippet.seconds}s
+                        </button>
+                        <button
+                            type="button"
+                            onClick={skipSnippet}
+                            disabled={!!me || status !== 'PLAYING' || snippet.seconds >= snippet.stages[snippet.stages.length - 1]}
+                            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 px-4 py-2 rounded-lg font-bold text-sm"
+                        >
+                            {t('game.skipSnippet')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {me ? (
+                <div className="w-full text-center bg-gray-800/80 border border-gray-700 rounded-lg px-4 py-3 text-gray-300">
+                    {me.eliminatedInRound
+                        ? `💀 ${t('game.eliminated')}`
+                        : `👀 ${t(me.joinNextRound ? 'game.joiningNextRound' : 'game.spectating')}`}
+                </div>
+            ) : options ? (
+                <div className="w-full grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {options.map(option => (
+                        <button
+                            key={option.id}
+                            type="button"
+                            onClick={() => submitChoice(option.id)}
+                            disabled={status !== 'PLAYING' || lockedOut || !!pickedOption}
+                            className={`p-3 sm:p-4 rounded-lg border-2 font-bold text-base sm:text-lg transition break-words disabled:cursor-not-allowed ${optionClass(option)}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            ) : (
+                <form onSubmit={submitGuess} className="w-full flex flex-col sm:flex-row gap-2">
+                    <input
+                        ref={inputRef}
+                        type={yearMode ? 'number' : 'text'}
+                        inputMode={yearMode ? 'numeric' : undefined}
+                        min={yearMode ? 1900 : undefined}
+                        max={yearMode ? new Date().getFullYear() : undefined}
+                        value={guess}
+                        onChange={e => setGuess(e.target.value)}
+                        onFocus={e => {
+                            const val = e.target.value;
+                            e.target.value = '';
+                            e.target.value = val;
+                        }}
+                        placeholder={t(yearMode ? 'game.yearPlaceholder' : 'game.inputPlaceholder')}
+                        disabled={status !== 'PLAYING' || lockedOut}
+                        className="flex-1 p-3 sm:p-4 rounded-lg bg-gray-800 border-2 border-gray-700 focus:border-purple-500 focus:outline-none text-base sm:text-lg"
+                        autoFocus
+                    />
+                    <button
+                        type="submit"
+                        disabled={status !== 'PLAYING' || lockedOut || !!cooldown}
+                        className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 px-6 sm:px-8 py-3 sm:py-4 rounded-lg font-bold transition text-base sm:text-lg"
+                    >
+                        {t('game.submit')}
+                    </button>
+                </form>
+            )}
+
+            {/* Wrong-guess cooldown: typing is allowed, sending waits for the bar to run out */}
+            {cooldown && status === 'PLAYING' && (
+                <div className="w-full mt-2">
+                    <TimerBar key={cooldown.endsAt} endsAt={cooldown.endsAt} durationMs={cooldown.durationMs} frozen={paused} />
+                </div>
+            )}
+
+            {!me && canVoteSkip && (status === 'PLAYING' || status === 'GUESSED') && (
                 <button
-                    type="submit"
-                    disabled={status !== 'PLAYING'}
-                    className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 px-6 sm:px-8 py-3 sm:py-4 rounded-lg font-bold transition text-base sm:text-lg"
+                    type="button"
+                    onClick={voteSkip}
+                    disabled={votedSkip || paused}
+                    className="mt-3 text-sm text-gray-400 hover:text-gray-200 disabled:opacity-60 underline"
                 >
-                    {t('game.submit')}
+                    {t('game.voteSkip')}{skipVotes && ` (${skipVotes.votes}/${skipVotes.required})`}
                 </button>
-            </form>
+            )}
+
+            {closeFields && status === 'PLAYING' && (
+                <div className="mt-3 w-full text-yellow-400 text-sm font-bold text-center">
+                    {t('game.almost')}
+                    {answerFields.length > 1 && ` (${closeFields.map(f => t(`game.field_${f}`)).join(', ')})`}
+                </div>
+            )}
 
             {errorMessage && (
                 <div className="mt-3 w-full text-red-400 text-sm font-semibold text-center">
@@ -152,15 +590,69 @@ export default function GameRoom({ socket, room, players }) {
 
             <div className="mt-8 w-full">
                 <h4 className="text-gray-400 mb-2 font-bold uppercase text-sm tracking-wider">{t('game.scoreboard')}</h4>
+                {teams && (
+                    <div className="flex flex-wrap gap-4 mb-3">
+                        {teams.map(team => (
+                            <div key={team.team} className="bg-gray-800 px-3 py-1 rounded flex items-center gap-2 border border-gray-600">
+                                <TeamBadge team={team.team} />
+                                <span className="text-purple-300 font-mono font-bold">{team.score}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
                 <div className="flex flex-wrap gap-4">
                     {players.sort((a, b) => b.score - a.score).map(p => (
                         <div key={p.id} className="bg-gray-800 px-3 py-1 rounded flex items-center gap-2 border border-gray-700">
-                            <div className="w-2 h-2 rounded-full bg-green-400"></div>
+                            <div className={`w-2 h-2 rounded-full ${p.connected === false ? 'bg-gray-500' : 'bg-green-400'}`}></div>
                             <span className="font-bold">{p.name}</span>
+                            {teams && p.team != null && <TeamBadge team={p.team} />}
+                            {p.lives != null && <span className="text-xs text-red-400">{'❤️'.repeat(p.lives)}</span>}
+                            {p.id === room.hostId && <span title={t('lobby.host')}>👑</span>}
                             <span className="text-purple-400 font-mono">{p.score}</span>
+                            {isHost && p.id !== playerId && p.connected !== false && (
+                                <button
+                                    type="button"
+                                    onClick={() => transferHost(p.id)}
+                                    title={t('lobby.makeHost')}
+                                    className="text-xs text-gray-500 hover:text-yellow-300"
+                                >
+                                    👑↗
+                                </button>
+                            )}
+                            {isHost && p.id !== playerId && (
+                                <button
+                                    type="button"
+                                    onClick={() => kickPlayer(p.id)}
+                                    title={t('lobby.kick')}
+                                    className="text-xs text-gray-500 hover:text-red-400"
+                                >
+                                    ✕
+                                </button>
+                            )}
                         </div>
                     ))}
                 </div>
+                {spectators.length > 0 && (
+                    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm text-gray-400">
+                        <span>👀 {t('game.spectators')}:</span>
+                        {spectators.map(s => (
+                            <span key={s.id} className="bg-gray-800/60 px-2 py-0.5 rounded border border-gray-700 flex items-center gap-1">
+                                {s.eliminatedInRound && '💀'} {s.name}
+                                {isHost && !s.joinNextRound && !s.eliminatedInRound && (
+                                    <button
+                                        type="button"
+                                        onClick={() => promoteSpectator(s.id)}
+                                        disabled={status === 'PLAYING' || status === 'GUESSED'}
+                                        title={t('game.promote')}
+                                        className="text-xs text-gray-500 hover:text-green-400 disabled:opacity-40"
+                                    >
+                                        ⬆
+                                    </button>
+                                )}
+                            </span>
+                        ))}
+                    </div>
+                )}
             </div>
 
             {countdown !== null && (
@@ -171,6 +663,82 @@ export default function GameRoom({ socket, room, players }) {
                 </div>
             )}
 
+            {paused && (
+                <div className="fixed inset-0 bg-black/80 flex flex-col items-center justify-center gap-6 z-50">
+                    <div className="text-5xl sm:text-6xl font-bold text-white">⏸ {t('game.paused')}</div>
+                    {isHost ? (
+                        <button
+                            type="button"
+                            onClick={() => socket.emit('resume_game', { roomId: room.id })}
+                            className="bg-green-600 hover:bg-green-700 px-8 py-3 rounded-lg font-bold text-lg"
+                        >
+                            ▶ {t('game.resume')}
+                        </button>
+                    ) : (
+                        <p className="text-gray-300">{t('game.pausedByHost')}</p>
+                    )}
+                </div>
+            )}
+
+        </div>
+    );
+}
+
+// Remaining guess time, counted down against the deadline sent by the server
+function TimerBar({ endsAt, durationMs, frozen }) {
+    const [remaining, setRemaining] = useState(() => Math.max(0, endsAt - Date.now()));
+
+    useEffect(() => {
+        // While paused the bar keeps showing the time that was left
+        if (frozen) return;
+        const timer = setInterval(() => setRemaining(Math.max(0, endsAt - Date.now())), 200);
+        return () => clearInterval(timer);
+    }, [endsAt, frozen]);
+
+    const ratio = Math.min(1, remaining / durationMs);
+    return (
+        <div className="w-full mb-4 flex items-center gap-3">
+            <div className="flex-1 h-2 rounded-full bg-gray-800 overflow-hidden">
+                <div
+                    className={`h-full transition-[width] duration-200 ease-linear ${ratio > 0.25 ? 'bg-purple-500' : 'bg-red-500'}`}
+                    style={{ width: `${ratio * 100}%` }}
+                />
+            </div>
+            <span className="font-mono text-sm text-gray-300 w-8 text-right">{Math.ceil(remaining / 1000)}</span>
+        </div>
+    );
+}
+
+// Heardle mode: play from the start and stop once the allowed seconds are up
+function playFromStart(audio, seconds, timerRef) {
+    clearTimeout(timerRef.current);
+    audio.currentTime = 0;
+    audio.play()
+        .then(() => {
+            timerRef.current = setTimeout(() => audio.pause(), seconds * 1000);
+        })
+        .catch(e => console.error("Autoplay prevent?", e));
+}
+
+// Heardle progress bar: one segment per snippet stage, unlocked ones highlighted
+function SnippetBar({ stages, seconds, playhead }) {
+    const total = stages[stages.length - 1];
+    return (
+        <div className="relative w-full h-4 flex rounded overflow-hidden bg-gray-800 border border-gray-700">
+            {stages.map((end, i) => {
+                const start = i === 0 ? 0 : stages[i - 1];
+                return (
+                    <div
+                        key={end}
+                        style={{ width: `${((end - start) / total) * 100}%` }}
+                        className={`h-full border-r border-gray-900 last:border-r-0 ${end <= seconds ? 'bg-purple-700' : 'bg-gray-800'}`}
+                    />
+                );
+            })}
+            <div
+                className="absolute inset-y-0 left-0 bg-green-400/60 pointer-events-none"
+                style={{ width: `${(Math.min(playhead, seconds) / total) * 100}%` }}
+            />
         </div>
     );
 }
@@ -1,11 +1,48 @@
 import React, { useState } from 'react';
 import { t } from '../i18n';
+import TeamBadge from './TeamBadge';
+
+// Seconds offered for each timer (the server clamps whatever it receives)
+const TIMER_OPTIONS = {
+    countdown: [3, 5, 10],
+    round: [15, 20, 30, 45, 60, 90],
+    intermission: [3, 5, 8, 12]
+};
+
+// Team counts the host can pick (the server rejects anything else)
+const TEAM_COUNTS = [2, 3, 4];
+
+// Lives per player in elimination mode
+const LIVES_OPTIONS = [1, 3, 5];
+
+// Wrong-guess rules for typed answers, 0 = off for each (the server clamps whatever it receives)
+const GUESS_RULE_OPTIONS = {
+    penalty: [0, 5, 10, 25],
+    cooldown: [0, 2, 5, 10],
+    maxGuesses: [0, 1, 3, 5]
+};
+
+const formatGuessRule = (name, value) => {
+    if (value === 0) return name === 'maxGuesses' ? '∞' : t('landing.guessRule_off');
+    if (name === 'penalty') return `-${value} pts`;
+    if (name === 'cooldown') return `${value}s`;
+    return value;
+};
 
 export default function Lobby({
     room,
     players,
     startGame,
     isOwner,
+    hostId,
+    playerId,
+    transferHost,
+    kickPlayer,
+    toggleLock,
+    changeTeamCount,
+    movePlayerTeam,
+    spectators,
+    promoteSpectator,
     totalRounds,
     setTotalRounds,
     selectedGenres,
@@ -16,10 +53,32 @@ export default function Lobby({
     setSelectedLanguage,
     selectedDifficulty,
     setSelectedDifficulty,
+    selectedScoring,
+    setSelectedScoring,
+    selectedRoundMode,
+    setSelectedRoundMode,
+    selectedAnswerMode,
+    setSelectedAnswerMode,
+    selectedGameMode,
+    setSelectedGameMode,
+    selectedHints,
+    setSelectedHints,
+    selectedTimers,
+    setSelectedTimers,
+    selectedSkipVotes,
+    setSelectedSkipVotes,
+    selectedLives,
+    setSelectedLives,
+    selectedGuessRules,
+    setSelectedGuessRules,
+    selectedPhonetic,
+    setSelectedPhonetic,
+    selectedStrictness,
+    setSelectedStrictness,
     errorMessage
 }) {
     const [isLoadingInternal, setIsLoadingInternal] = useState(false);
-    const isLoading = isLoadingInternal && !errorMessage;
+    const isLoading = (isLoadingInternal || room.state === 'LOADING') && !errorMessage;
 
     const handleStartGame = async () => {
         setIsLoadingInternal(true);
@@ -30,7 +89,18 @@ export default function Lobby({
                 genres: selectedGenres,
                 decade: selectedDecade,
                 language: selectedLanguage,
-                difficulty: selectedDifficulty
+                difficulty: selectedDifficulty,
+                scoring: selectedScoring,
+                roundMode: selectedRoundMode,
+                answerMode: selectedAnswerMode,
+                gameMode: selectedGameMode,
+                hints: selectedHints,
+                timers: selectedTimers,
+                skipVotes: selectedSkipVotes,
+                lives: selectedLives,
+                guessRules: selectedGuessRules,
+                phonetic: selectedPhonetic,
+                strictness: selectedStrictness
             });
         } catch (error) {
             console.error("Start game error:", error);
@@ -45,6 +115,44 @@ export default function Lobby({
             </h2>
             <p className="text-gray-400 mb-6 text-sm sm:text-base">{t('lobby.waiting')}</p>
 
+            {isOwner ? (
+                <label className="flex items-center justify-center gap-2 mb-4 text-sm text-gray-300 cursor-pointer">
+                    <input type="checkbox" checked={!!room.locked} onChange={toggleLock} disabled={isLoading} />
+                    {t('lobby.lockRoom')}
+                </label>
+            ) : room.locked && (
+                <p className="mb-4 text-sm text-yellow-400">🔒 {t('lobby.roomLocked')}</p>
+            )}
+
+            {/* SELEZIONE SQUADRE */}
+            {isOwner && (
+                <div className="flex items-center justify-center gap-2 mb-4 text-sm text-gray-300">
+                    <label htmlFor="team-count">{t('lobby.teams')}</label>
+                    <select
+                        id="team-count"
+                        className="p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500"
+                        value={room.teamCount || 0}
+                        onChange={e => changeTeamCount(Number(e.target.value))}
+                        disabled={isLoading}
+                    >
+                        <option value={0}>{t('lobby.teams_off')}</option>
+                        {TEAM_COUNTS.map(n => (
+                            <option key={n} value={n}>{n}</option>
+                        ))}
+                    </select>
+                    {room.teamCount > 0 && (
+                        <button
+                            type="button"
+                            onClick={() => changeTeamCount(room.teamCount)}
+                            disabled={isLoading}
+                            className="text-xs text-gray-400 hover:text-purple-300 underline disabled:opacity-50"
+                        >
+                            {t('lobby.shuffleTeams')}
+                        </button>
+                    )}
+                </div>
+            )}
+
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-8">
                 {players.map(p => (
                     <div key={p.id} className="bg-gray-700 p-3 rounded flex items-center justify-center gap-2">
@@ -52,10 +160,69 @@ export default function Lobby({
                             {p.name[0].toUpperCase()}
                         </div>
                         {p.name}
+                        {room.teamCount > 0 && p.team != null && (
+                            <TeamBadge
+                                team={p.team}
+                                onClick={isOwner ? () => movePlayerTeam(p.id, (p.team + 1) % room.teamCount) : undefined}
+                                disabled={isLoading}
+                            />
+                        )}
+                        {p.id === hostId && <span title={t('lobby.host')}>👑</span>}
+                        {isOwner && p.id !== playerId && p.connected !== false && (
+                            <button
+                                type="button"
+                                onClick={() => transferHost(p.id)}
+                                disabled={isLoading}
+                                className="ml-1 text-xs text-gray-400 hover:text-yellow-300 underline disabled:opacity-50"
+                            >
+                                {t('lobby.makeHost')}
+                            </button>
+                        )}
+                        {isOwner && p.id !== playerId && (
+                            <>
+                                <button
+                                    type="button"
+                                    onClick={() => kickPlayer(p.id)}
+                                    disabled={isLoading}
+                                    className="text-xs text-gray-400 hover:text-red-400 underline disabled:opacity-50"
+                                >
+                                    {t('lobby.kick')}
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => kickPlayer(p.id, true)}
+                                    disabled={isLoading}
+                                    className="text-xs text-gray-400 hover:text-red-500 underline disabled:opacity-50"
+                                >
+                                    {t('lobby.ban')}
+                                </button>
+                            </>
+                        )}
                     </div>
                 ))}
             </div>
 
+            {spectators.length > 0 && (
+                <div className="mb-6 flex flex-wrap justify-center items-center gap-2 text-sm text-gray-400">
+                    <span>👀 {t('game.spectators')}:</span>
+                    {spectators.map(s => (
+                        <span key={s.id} className="bg-gray-700/60 px-2 py-1 rounded flex items-center gap-1">
+                            {s.name}
+                            {isOwner && (
+                                <button
+                                    type="button"
+                                    onClick={() => promoteSpectator(s.id)}
+                                    disabled={isLoading}
+                                    className="text-xs text-gray-400 hover:text-green-400 underline disabled:opacity-50"
+                                >
+                                    {t('game.promote')}
+                                </button>
+                            )}
+                        </span>
+                    ))}
+                </div>
+            )}
+
             {isOwner && (
                 <div className="bg-gray-900/60 border border-gray-700 rounded-lg p-4 mb-4 text-left space-y-4">
                     
@@ -157,6 +324,208 @@ export default function Lobby({
                             <option value="hard">{t('landing.difficulty_hard')}</option>
                         </select>
                     </div>
+
+                    {/* SELEZIONE PUNTEGGIO */}
+                    <div>
+                        <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                            {t('landing.scoringLabel')}
+                        </label>
+                        <select
+                            className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                            value={selectedScoring}
+                            onChange={e => setSelectedScoring(e.target.value)}
+                            disabled={isLoading}
+                        >
+                            <option value="linear">{t('landing.scoring_linear')}</option>
+                            <option value="stepped">{t('landing.scoring_stepped')}</option>
+                            <option value="streak">{t('landing.scoring_streak')}</option>
+                        </select>
+                    </div>
+
+                    {/* SELEZIONE MODALITA ROUND */}
+                    <div>
+                        <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                            {t('landing.roundModeLabel')}
+                        </label>
+                        <select
+                            className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                            value={selectedRoundMode}
+                            onChange={e => setSelectedRoundMode(e.target.value)}
+                            disabled={isLoading}
+                        >
+                            <option value="first">{t('landing.roundMode_first')}</option>
+                            <option value="everyone">{t('landing.roundMode_everyone')}</option>
+                        </select>
+                    </div>
+
+                    {/* SELEZIONE TIPO DI GIOCO */}
+                    <div>
+                        <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                            {t('landing.gameModeLabel')}
+                        </label>
+                        <select
+                            className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                            value={selectedGameMode}
+                            onChange={e => setSelectedGameMode(e.target.value)}
+                            disabled={isLoading}
+                        >
+                            <option value="text">{t('landing.gameMode_text')}</option>
+                            <option value="choice">{t('landing.gameMode_choice')}</option>
+                            <option value="year">{t('landing.gameMode_year')}</option>
+                            <option value="heardle">{t('landing.gameMode_heardle')}</option>
+                        </select>
+                    </div>
+
+                    {/* SELEZIONE RISPOSTA */}
+                    {(selectedGameMode === 'text' || selectedGameMode === 'heardle') && (
+                        <div>
+                            <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                                {t('landing.answerModeLabel')}
+                            </label>
+                            <select
+                                className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                                value={selectedAnswerMode}
+                                onChange={e => setSelectedAnswerMode(e.target.value)}
+                                disabled={isLoading}
+                            >
+                                <option value="title">{t('landing.answerMode_title')}</option>
+                                <option value="title_artist">{t('landing.answerMode_title_artist')}</option>
+                            </select>
+                        </div>
+                    )}
+
+                    {/* SELEZIONE TOLLERANZA */}
+                    {(selectedGameMode === 'text' || selectedGameMode === 'heardle') && (
+                        <div>
+                            <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                                {t('landing.strictnessLabel')}
+                            </label>
+                            <select
+                                className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                                value={selectedStrictness}
+                                onChange={e => setSelectedStrictness(e.target.value)}
+                                disabled={isLoading}
+                            >
+                                <option value="lenient">{t('landing.strictness_lenient')}</option>
+                                <option value="standard">{t('landing.strictness_standard')}</option>
+                                <option value="strict">{t('landing.strictness_strict')}</option>
+                                <option value="exact">{t('landing.strictness_exact')}</option>
+                            </select>
+                        </div>
+                    )}
+
+                    {/* SELEZIONE PRONUNCIA */}
+                    {(selectedGameMode === 'text' || selectedGameMode === 'heardle') && (selectedStrictness === 'lenient' || selectedStrictness === 'standard') && (
+                        <label className="flex items-center gap-2 text-xs sm:text-sm text-gray-400 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={selectedPhonetic}
+                                onChange={e => setSelectedPhonetic(e.target.checked)}
+                                disabled={isLoading}
+                            />
+                            {t('landing.phoneticLabel')}
+                        </label>
+                    )}
+
+                    {/* SELEZIONE INDIZI */}
+                    {selectedGameMode !== 'year' && (
+                        <div>
+                            <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                                {t('landing.hintsLabel')}
+                            </label>
+                            <select
+                                className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                                value={selectedHints}
+                                onChange={e => setSelectedHints(e.target.value)}
+                                disabled={isLoading}
+                            >
+                                <option value="off">{t('landing.hints_off')}</option>
+                                <option value="slow">{t('landing.hints_slow')}</option>
+                                <option value="normal">{t('landing.hints_normal')}</option>
+                                <option value="fast">{t('landing.hints_fast')}</option>
+                            </select>
+                        </div>
+                    )}
+
+                    {/* SELEZIONE TEMPI */}
+                    <div className="grid grid-cols-3 gap-2">
+                        {Object.entries(TIMER_OPTIONS).map(([name, values]) => (
+                            <div key={name}>
+                                <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                                    {t(`landing.timer_${name}`)}
+                                </label>
+                                <select
+                                    className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                                    value={selectedTimers[name]}
+                                    onChange={e => setSelectedTimers(prev => ({ ...prev, [name]: Number(e.target.value) }))}
+                                    disabled={isLoading}
+                                >
+                                    {values.map(v => (
+                                        <option key={v} value={v}>{v}s</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* SELEZIONE SKIP */}
+                    <div>
+                        <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                            {t('landing.skipVotesLabel')}
+                        </label>
+                        <select
+                            className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                            value={selectedSkipVotes}
+                            onChange={e => setSelectedSkipVotes(e.target.value)}
+                            disabled={isLoading}
+                        >
+                            <option value="off">{t('landing.skipVotes_off')}</option>
+                            <option value="majority">{t('landing.skipVotes_majority')}</option>
+                            <option value="two_thirds">{t('landing.skipVotes_two_thirds')}</option>
+                            <option value="all">{t('landing.skipVotes_all')}</option>
+                        </select>
+                    </div>
+
+                    {/* SELEZIONE ERRORI */}
+                    {(selectedGameMode === 'text' || selectedGameMode === 'heardle') && (
+                        <div className="grid grid-cols-3 gap-2">
+                            {Object.entries(GUESS_RULE_OPTIONS).map(([name, values]) => (
+                                <div key={name}>
+                                    <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                                        {t(`landing.guessRule_${name}`)}
+                                    </label>
+                                    <select
+                                        className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                                        value={selectedGuessRules[name]}
+                                        onChange={e => setSelectedGuessRules(prev => ({ ...prev, [name]: Number(e.target.value) }))}
+                                        disabled={isLoading}
+                                    >
+                                        {values.map(v => (
+                                            <option key={v} value={v}>{formatGuessRule(name, v)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* SELEZIONE ELIMINAZIONE */}
+                    <div>
+                        <label className="block text-xs sm:text-sm text-gray-400 mb-1">
+                            {t('landing.livesLabel')}
+                        </label>
+                        <select
+                            className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-purple-500 text-sm"
+                            value={selectedLives}
+                            onChange={e => setSelectedLives(Number(e.target.value))}
+                            disabled={isLoading}
+                        >
+                            <option value={0}>{t('landing.lives_off')}</option>
+                            {LIVES_OPTIONS.map(n => (
+                                <option key={n} value={n}>{n} ❤️</option>
+                            ))}
+                        </select>
+                    </div>
                 </div>
             )}
 
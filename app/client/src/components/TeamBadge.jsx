@@ -0,0 +1,19 @@
+import React from 'react';
+import { t } from '../i18n';
+
+// Colors by team index, matching the game.team_* names
+const TEAM_COLORS = ['bg-red-600', 'bg-blue-600', 'bg-green-600', 'bg-yellow-600'];
+
+export default function TeamBadge({ team, onClick, disabled }) {
+    const className = `${TEAM_COLORS[team]} text-white text-xs font-bold px-2 py-0.5 rounded whitespace-nowrap`;
+
+    // The host can click to move the player to the next team
+    if (onClick) {
+        return (
+            <button type="button" onClick={onClick} disabled={disabled} className={`${className} hover:opacity-80 disabled:opacity-50`}>
+                {t(`game.team_${team}`)}
+            </button>
+        );
+    }
+    return <span className={className}>{t(`game.team_${team}`)}</span>;
+}
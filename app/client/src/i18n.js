@@ -8,6 +8,7 @@ const messages = {
       joinLabel: 'Or join:',
       joinPlaceholder: 'Room ID',
       joinButton: 'Join',
+      watchButton: 'Watch',
       genresLabel: 'Music genres',
       decadesLabel: 'Decade',
       anyDecade: 'Any decade',
@@ -37,13 +38,62 @@ const messages = {
       decade_90s: '1990s',
       decade_2000s: '2000s',
       decade_2010s: '2010s',
-      decade_2020s: '2020s'
+      decade_2020s: '2020s',
+      scoringLabel: 'Scoring',
+      scoring_linear: 'Speed (points drop over time)',
+      scoring_stepped: 'Tiers (fast, medium, slow)',
+      scoring_streak: 'Speed + streak bonus',
+      roundModeLabel: 'Round mode',
+      roundMode_first: 'First correct answer wins',
+      roundMode_everyone: 'Everyone can answer',
+      answerModeLabel: 'What to guess',
+      answerMode_title: 'Song title',
+      answerMode_title_artist: 'Title and artist (separate points)',
+      phoneticLabel: 'Accept answers that sound right ("Bionse" for "Beyoncé")',
+      strictnessLabel: 'Answer tolerance',
+      strictness_lenient: 'Lenient (great for kids)',
+      strictness_standard: 'Standard',
+      strictness_strict: 'Strict (every word, few typos)',
+      strictness_exact: 'Exact (quiz night)',
+      gameModeLabel: 'Game type',
+      gameMode_text: 'Type the answer',
+      gameMode_choice: 'Multiple choice (4 options)',
+      gameMode_year: 'Guess the release year',
+      gameMode_heardle: 'Growing snippet (1s, 2s, 4s...)',
+      hintsLabel: 'Hints (each hint lowers the points)',
+      hints_off: 'No hints',
+      hints_slow: 'Late hints',
+      hints_normal: 'Normal',
+      hints_fast: 'Early hints',
+      timer_countdown: 'Countdown',
+      timer_round: 'Guess time',
+      timer_intermission: 'Pause',
+      skipVotesLabel: 'Vote to skip a song',
+      skipVotes_off: 'Off',
+      skipVotes_majority: 'Majority',
+      skipVotes_two_thirds: 'Two thirds',
+      skipVotes_all: 'Everyone',
+      livesLabel: 'Elimination (lose a life when you miss a song)',
+      lives_off: 'Off',
+      guessRule_penalty: 'Wrong guess',
+      guessRule_cooldown: 'Wait after wrong',
+      guessRule_maxGuesses: 'Guesses per song',
+      guessRule_off: 'Off'
     },
     lobby: {
       waiting: 'Waiting for players...',
       startGame: 'Start Game',
       generating: 'Generating...',
-      hostStarting: 'The host is about to start the game...'
+      hostStarting: 'The host is about to start the game...',
+      host: 'Host',
+      makeHost: 'Make host',
+      kick: 'Kick',
+      ban: 'Ban',
+      lockRoom: 'Lock room (no new players)',
+      roomLocked: 'The room is locked',
+      teams: 'Teams:',
+      teams_off: 'Off',
+      shuffleTeams: 'Shuffle teams'
     },
     game: {
       getReady: 'Get Ready...',
@@ -55,8 +105,43 @@ const messages = {
       inputPlaceholder: 'Song title...',
       scoreboard: 'Scoreboard',
       wrongGuess: 'Wrong answer, try again!',
+      guessesLeft: 'guesses left',
+      almost: 'So close!',
+      points: 'pts',
+      youGotIt: 'You got it!',
+      waitingOthers: 'Waiting for the others...',
+      roundOver: 'Round over!',
+      field_title: 'Title',
+      field_artist: 'Artist',
+      lockedOut: 'Wrong! You are out for this round.',
+      yearPlaceholder: 'Release year...',
+      hint: 'Hint',
+      skipSnippet: 'Skip (+ longer snippet)',
+      spectators: 'Watching',
+      spectating: 'You are watching this game',
+      joiningNextRound: 'You will join from the next round',
+      promote: 'Let them play',
+      pause: 'Pause',
+      resume: 'Resume',
+      skipSong: 'Skip song',
+      paused: 'Paused',
+      pausedByHost: 'The host paused the game',
+      voteSkip: 'Not working? Vote to skip',
+      songSkipped: 'Song skipped',
+      skippedSongs: 'Skipped songs',
+      team_0: 'Red',
+      team_1: 'Blue',
+      team_2: 'Green',
+      team_3: 'Yellow',
+      eliminated: 'You are out! Watch until the end',
+      isOut: 'is out!',
+      yourYear: 'Your answer:',
+      releasedIn: 'Released in',
       gameOver: 'Game Over!',
-      newGame: 'New Game'
+      newGame: 'New Game',
+      rematch: 'Rematch',
+      joinRematch: 'Join the rematch',
+      wantsRematch: 'wants a rematch!'
     },
     errors: {
       title: 'Error',
@@ -64,10 +149,17 @@ const messages = {
       missingNameCreate: 'Enter your name to create a room.',
       missingNameJoin: 'Enter your name to join a room.',
       missingRoomId: 'Enter a valid room ID.',
-      roomNotFound: 'Room not found or game already started.',
+      roomNotFound: 'Room not found or game already over.',
+      roundInProgress: 'Wait for the round to end.',
       aiTimeout: 'The AI took too long to respond. Please try again.',
       generationFailed: 'The AI service is temporarily unavailable. Please try again.',
       disconnected: 'Connection lost. Please rejoin or create a new room.',
+      reconnecting: 'Connection lost. Reconnecting...',
+      sessionExpired: 'Your seat in the room has expired. Please rejoin or create a new room.',
+      notHost: 'Only the host can do that.',
+      roomLocked: 'This room is locked by the host.',
+      kicked: 'You were removed from the room by the host.',
+      banned: 'You are banned from this room.',
       serverUnavailable: 'Unable to reach the server. Please try again later.'
     }
   },
@@ -80,6 +172,7 @@ const messages = {
       joinLabel: 'Oppure unisciti:',
       joinPlaceholder: 'ID Stanza',
       joinButton: 'Unisciti',
+      watchButton: 'Guarda',
       genresLabel: 'Generi musicali',
       decadesLabel: 'Decennio',
       anyDecade: 'Qualsiasi decennio',
@@ -109,13 +202,62 @@ const messages = {
       decade_90s: 'Anni 90',
       decade_2000s: 'Anni 2000',
       decade_2010s: 'Anni 2010',
-      decade_2020s: 'Anni 2020'
+      decade_2020s: 'Anni 2020',
+      scoringLabel: 'Punteggio',
+      scoring_linear: 'Velocità (i punti calano col tempo)',
+      scoring_stepped: 'Fasce (veloce, medio, lento)',
+      scoring_streak: 'Velocità + bonus serie',
+      roundModeLabel: 'Modalità round',
+      roundMode_first: 'Vince la prima risposta giusta',
+      roundMode_everyone: 'Tutti possono rispondere',
+      answerModeLabel: 'Cosa indovinare',
+      answerMode_title: 'Titolo della canzone',
+      answerMode_title_artist: 'Titolo e artista (punti separati)',
+      phoneticLabel: 'Accetta risposte che suonano giuste ("Bionse" per "Beyoncé")',
+      strictnessLabel: 'Tolleranza delle risposte',
+      strictness_lenient: 'Permissiva (ideale per bambini)',
+      strictness_standard: 'Normale',
+      strictness_strict: 'Rigida (tutte le parole, pochi errori)',
+      strictness_exact: 'Esatta (serata quiz)',
+      gameModeLabel: 'Tipo di gioco',
+      gameMode_text: 'Scrivi la risposta',
+      gameMode_choice: 'Risposta multipla (4 opzioni)',
+      gameMode_year: 'Indovina l\'anno di uscita',
+      gameMode_heardle: 'Frammento crescente (1s, 2s, 4s...)',
+      hintsLabel: 'Indizi (ogni indizio riduce i punti)',
+      hints_off: 'Nessun indizio',
+      hints_slow: 'Indizi tardivi',
+      hints_normal: 'Normale',
+      hints_fast: 'Indizi anticipati',
+      timer_countdown: 'Conto alla rovescia',
+      timer_round: 'Tempo per rispondere',
+      timer_intermission: 'Pausa',
+      skipVotesLabel: 'Voto per saltare una canzone',
+      skipVotes_off: 'Disattivato',
+      skipVotes_majority: 'Maggioranza',
+      skipVotes_two_thirds: 'Due terzi',
+      skipVotes_all: 'Tutti',
+      livesLabel: 'Eliminazione (perdi una vita se non indovini)',
+      lives_off: 'Disattivata',
+      guessRule_penalty: 'Risposta sbagliata',
+      guessRule_cooldown: 'Attesa dopo errore',
+      guessRule_maxGuesses: 'Tentativi per canzone',
+      guessRule_off: 'No'
     },
     lobby: {
       waiting: 'In attesa di giocatori...',
       startGame: 'Avvia Gioco',
       generating: 'Generazione in corso...',
-      hostStarting: 'L\'host sta per avviare la partita...'
+      hostStarting: 'L\'host sta per avviare la partita...',
+      host: 'Host',
+      makeHost: 'Rendi host',
+      kick: 'Espelli',
+      ban: 'Banna',
+      lockRoom: 'Blocca stanza (nessun nuovo giocatore)',
+      roomLocked: 'La stanza è bloccata',
+      teams: 'Squadre:',
+      teams_off: 'No',
+      shuffleTeams: 'Rimescola squadre'
     },
     game: {
       getReady: 'Preparati...',
@@ -127,8 +269,43 @@ const messages = {
       inputPlaceholder: 'Titolo della canzone...',
       scoreboard: 'Classifica',
       wrongGuess: 'Risposta sbagliata, riprova!',
+      guessesLeft: 'tentativi rimasti',
+      almost: 'Ci sei quasi!',
+      points: 'punti',
+      youGotIt: 'Indovinato!',
+      waitingOthers: 'In attesa degli altri...',
+      roundOver: 'Round finito!',
+      field_title: 'Titolo',
+      field_artist: 'Artista',
+      lockedOut: 'Sbagliato! Sei fuori per questo round.',
+      yearPlaceholder: 'Anno di uscita...',
+      hint: 'Indizio',
+      skipSnippet: 'Salta (+ frammento più lungo)',
+      spectators: 'Spettatori',
+      spectating: 'Stai guardando la partita',
+      joiningNextRound: 'Entrerai in gioco dal prossimo round',
+      promote: 'Fallo giocare',
+      pause: 'Pausa',
+      resume: 'Riprendi',
+      skipSong: 'Salta canzone',
+      paused: 'In pausa',
+      pausedByHost: 'L\'host ha messo in pausa la partita',
+      voteSkip: 'Non funziona? Vota per saltare',
+      songSkipped: 'Canzone saltata',
+      skippedSongs: 'Canzoni saltate',
+      team_0: 'Rossi',
+      team_1: 'Blu',
+      team_2: 'Verdi',
+      team_3: 'Gialli',
+      eliminated: 'Sei fuori! Guarda fino alla fine',
+      isOut: 'è fuori!',
+      yourYear: 'La tua risposta:',
+      releasedIn: 'Uscita nel',
       gameOver: 'Partita Finita!',
-      newGame: 'Nuova Partita'
+      newGame: 'Nuova Partita',
+      rematch: 'Rivincita',
+      joinRematch: 'Partecipa alla rivincita',
+      wantsRematch: 'vuole la rivincita!'
     },
     errors: {
       title: 'Errore',
@@ -136,10 +313,17 @@ const messages = {
       missingNameCreate: 'Inserisci il tuo nome per creare una stanza.',
       missingNameJoin: 'Inserisci il tuo nome per unirti a una stanza.',
       missingRoomId: 'Inserisci un ID stanza valido.',
-      roomNotFound: 'Stanza non trovata o partita già iniziata.',
+      roomNotFound: 'Stanza non trovata o partita già terminata.',
+      roundInProgress: 'Aspetta la fine del round.',
       aiTimeout: 'L\'AI ha impiegato troppo tempo a rispondere. Riprova.',
       generationFailed: 'Il servizio AI è temporaneamente non disponibile. Riprova.',
       disconnected: 'Connessione persa. Rientra o crea una nuova stanza.',
+      reconnecting: 'Connessione persa. Riconnessione in corso...',
+      sessionExpired: 'Il tuo posto nella stanza è scaduto. Rientra o crea una nuova stanza.',
+      notHost: 'Solo l\'host può farlo.',
+      roomLocked: 'Questa stanza è stata bloccata dall\'host.',
+      kicked: 'Sei stato rimosso dalla stanza dall\'host.',
+      banned: 'Sei stato bannato da questa stanza.',
       serverUnavailable: 'Impossibile raggiungere il server. Riprova più tardi.'
     }
   }
@@ -11,7 +11,8 @@ const mockItunesSuccess = {
         trackName: 'Wonderwall',
         artistName: 'Oasis',
         previewUrl: 'https://audio-ssl.itunes.apple.com/itunes-assets/preview1.m4a',
-        artworkUrl100: 'https://is1-ssl.mzstatic.com/image/thumb/Music/artwork1.jpg'
+        artworkUrl100: 'https://is1-ssl.mzstatic.com/image/thumb/Music/artwork1.jpg',
+        releaseDate: '1995-10-02T07:00:00Z'
       }
     ]
   }
@@ -24,31 +25,36 @@ const mockItunesMultipleSongs = {
         trackName: 'Wonderwall',
         artistName: 'Oasis',
         previewUrl: 'https://audio-ssl.itunes.apple.com/preview1.m4a',
-        artworkUrl100: 'https://artwork1.jpg'
+        artworkUrl100: 'https://artwork1.jpg',
+        releaseDate: '1995-10-02T07:00:00Z'
       },
       {
         trackName: 'Song 2',
         artistName: 'Blur',
         previewUrl: 'https://audio-ssl.itunes.apple.com/preview2.m4a',
-        artworkUrl100: 'https://artwork2.jpg'
+        artworkUrl100: 'https://artwork2.jpg',
+        releaseDate: '1997-04-07T07:00:00Z'
       },
       {
         trackName: 'Creep',
         artistName: 'Radiohead',
         previewUrl: 'https://audio-ssl.itunes.apple.com/preview3.m4a',
-        artworkUrl100: 'https://artwork3.jpg'
+        artworkUrl100: 'https://artwork3.jpg',
+        releaseDate: '1992-09-21T07:00:00Z'
       },
       {
         trackName: 'Common People',
         artistName: 'Pulp',
         previewUrl: 'https://audio-ssl.itunes.apple.com/preview4.m4a',
-        artworkUrl100: 'https://artwork4.jpg'
+        artworkUrl100: 'https://artwork4.jpg',
+        releaseDate: '1995-05-22T07:00:00Z'
       },
       {
         trackName: 'Parklife',
         artistName: 'Blur',
         previewUrl: 'https://audio-ssl.itunes.apple.com/preview5.m4a',
-        artworkUrl100: 'https://artwork5.jpg'
+        artworkUrl100: 'https://artwork5.jpg',
+        releaseDate: '1994-08-15T07:00:00Z'
       }
     ]
   }
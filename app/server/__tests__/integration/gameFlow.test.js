@@ -77,6 +77,7 @@ describe('Game Flow Integration Tests', () => {
         expect(song).toHaveProperty('artist');
         expect(song).toHaveProperty('previewUrl');
         expect(song).toHaveProperty('artwork');
+        expect(song).toHaveProperty('releaseYear');
         expect(song.previewUrl).not.toBeNull();
       });
     });
@@ -0,0 +1,354 @@
+/**
+ * Integration tests for the socket handlers in index.js
+ * Boots the real server on a random port with mocked AI/iTunes services and plays games through socket.io-client.
+ * Round timers run on Jest's fake clock; socket traffic stays real.
+ */
+
+process.env.GEMINI_API_KEY = 'test-key';
+process.env.PORT = '0';
+
+jest.mock('axios');
+jest.mock('../../services/aiService', () => ({ getSongListFromAI: jest.fn() }));
+jest.mock('../../services/musicService', () => ({ searchAndGetPreview: jest.fn(), getRandomSongs: jest.fn() }));
+// Songs are played in the order the AI suggested them
+jest.mock('../../utils/shuffle', () => ({ shuffle: items => [...items] }));
+
+const axios = require('axios');
+const { io: ioClient } = require('socket.io-client');
+const aiService = require('../../services/aiService');
+const musicService = require('../../services/musicService');
+
+// Kept before the fake clock is installed, to let socket messages arrive
+const realSetTimeout = setTimeout;
+
+const SONGS = [
+  { artist: 'Oasis', title: 'Wonderwall' },
+  { artist: 'Blur', title: 'Song 2' },
+  { artist: 'Radiohead', title: 'Creep' },
+  { artist: 'Pulp', title: 'Common People' }
+];
+const TIMERS = { countdown: 1, round: 10, intermission: 3 };
+
+let server;
+let io;
+let clients = [];
+
+// Resolves with the payload of the next `event` the client receives (that passes `check`, if given)
+function next(client, event, check = () => true) {
+  return new Promise(resolve => {
+    const listener = payload => {
+      if (!check(payload)) return;
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+}
+
+// Lets pending socket messages through, for checks that something did NOT happen
+function settle() {
+  return new Promise(resolve => realSetTimeout(resolve, 50));
+}
+
+// Runs the fake clock forward in steps, so heartbeats keep flowing as they would in real time
+async function advance(ms) {
+  for (let left = ms; left > 0; left -= 10000) {
+    jest.advanceTimersByTime(Math.min(left, 10000));
+    await settle();
+  }
+}
+
+async function connect() {
+  const client = ioClient(`http://localhost:${server.address().port}`, {
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false,
+    // Heartbeats on the client side run on the real clock
+    useNativeTimers: true
+  });
+  clients.push(client);
+  await next(client, 'connect');
+  return client;
+}
+
+// A fresh room with Alice as host and Bob as guest
+async function createRoom() {
+  const host = await connect();
+  const created = next(host, 'room_created');
+  host.emit('create_room', { playerName: 'Alice' });
+  const { id: roomId, playerId: hostId } = await created;
+
+  const guest = await connect();
+  const joined = next(guest, 'room_joined');
+  guest.emit('join_room', { roomId, playerName: 'Bob' });
+  const { playerId: guestId, sessionToken: guestToken } = await joined;
+
+  return { roomId, host, hostId, guest, guestId, guestToken };
+}
+
+// Runs the clock up to the next new_round: `delayMs` until the round loop picks it up, then the countdown
+async function advanceToRound(client, delayMs) {
+  const round = next(client, 'new_round');
+  await advance(delayMs + TIMERS.countdown * 1000);
+  return round;
+}
+
+// Starts a game and plays up to its first round
+async function startGame(host, roomId, options = {}) {
+  const started = next(host, 'game_started');
+  host.emit('start_game', { roomId, genres: ['rock'], rounds: 2, timers: TIMERS, ...options });
+  await started;
+  return advanceToRound(host, 1000);
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  aiService.getSongListFromAI.mockResolvedValue(SONGS);
+  musicService.searchAndGetPreview.mockImplementation(async (artist, title) => ({
+    artist,
+    title,
+    previewUrl: `https://audio.test/${encodeURIComponent(title)}.m4a`,
+    artwork: 'https://artwork.test/100x100bb.jpg',
+    releaseYear: 1995
+  }));
+  // Previews are never actually downloaded
+  axios.get.mockRejectedValue(new Error('offline'));
+
+  ({ server, io } = require('../../index'));
+  if (!server.listening) await next(server, 'listening');
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'queueMicrotask', 'hrtime', 'performance'] });
+});
+
+// Disconnects are handled while the clock is still fake, so their grace timers never run for real
+afterEach(async () => {
+  clients.forEach(client => client.disconnect());
+  clients = [];
+  await settle();
+});
+
+afterAll(async () => {
+  await new Promise(resolve => io.close(resolve));
+  jest.useRealTimers();
+  console.log.mockRestore();
+});
+
+describe('rejoin_room - Reconnecting to a game in progress', () => {
+  test('should give back the seat, the score and the current round', async () => {
+    const { roomId, host, guest, guestId, guestToken } = await createRoom();
+    await startGame(host, roomId, { roundMode: 'everyone' });
+
+    const guessed = next(guest, 'correct_guess');
+    guest.emit('submit_guess', { roomId, guess: 'Wonderwall' });
+    const { points } = await guessed;
+
+    const left = next(host, 'player_joined');
+    guest.disconnect();
+    expect((await left).find(p => p.id === guestId).connected).toBe(false);
+
+    const back = await connect();
+    const rejoined = next(back, 'room_rejoined');
+    back.emit('rejoin_room', { roomId, sessionToken: guestToken });
+    const room = await rejoined;
+
+    expect(room.playerId).toBe(guestId);
+    expect(room.players.find(p => p.id === guestId)).toMatchObject({ connected: true, score: points });
+    expect(room.round).toMatchObject({ roundNumber: 1, mine: { points, done: true } });
+  });
+
+  test('should refuse unknown tokens', async () => {
+    const { roomId } = await createRoom();
+    const stranger = await connect();
+
+    const refused = next(stranger, 'error');
+    stranger.emit('rejoin_room', { roomId, sessionToken: '0'.repeat(32) });
+    expect(await refused).toEqual({ code: 'SESSION_EXPIRED' });
+  });
+
+  test('should free the seat once the grace period is over', async () => {
+    const { roomId, host, guest, guestId, guestToken } = await createRoom();
+    await startGame(host, roomId);
+
+    const left = next(host, 'player_joined');
+    guest.disconnect();
+    await left;
+    const removed = next(host, 'player_joined', players => !players.some(p => p.id === guestId));
+    await advance(60000);
+    await removed;
+
+    const back = await connect();
+    const refused = next(back, 'error');
+    back.emit('rejoin_room', { roomId, sessionToken: guestToken });
+    expect(await refused).toEqual({ code: 'SESSION_EXPIRED' });
+  });
+});
+
+describe('pause_game / resume_game - Host playback controls', () => {
+  test('should freeze the round and its timer until the host resumes', async () => {
+    const { roomId, host, guest } = await createRoom();
+    await startGame(host, roomId);
+    await advance(4000);
+
+    const paused = next(guest, 'game_paused');
+    host.emit('pause_game', { roomId });
+    await paused;
+
+    // Neither the clock nor guesses end the round while paused
+    const roundEnded = jest.fn();
+    guest.on('round_timeout', roundEnded);
+    guest.on('round_winner', roundEnded);
+    guest.emit('submit_guess', { roomId, guess: 'Wonderwall' });
+    await advance(30000);
+    expect(roundEnded).not.toHaveBeenCalled();
+
+    const resumed = next(guest, 'game_resumed');
+    host.emit('resume_game', { roomId });
+    const { endsAt, serverTime } = await resumed;
+    expect(endsAt - serverTime).toBe(6000);
+
+    const won = next(guest, 'round_winner');
+    guest.emit('submit_guess', { roomId, guess: 'Wonderwall' });
+    expect(await won).toMatchObject({ player: 'Bob', song: { title: 'Wonderwall' } });
+  });
+
+  test('should time the round out with the time it had left', async () => {
+    const { roomId, host, guest } = await createRoom();
+    await startGame(host, roomId);
+    await advance(4000);
+
+    const paused = next(guest, 'game_paused');
+    host.emit('pause_game', { roomId });
+    await paused;
+    const resumed = next(guest, 'game_resumed');
+    host.emit('resume_game', { roomId });
+    await resumed;
+
+    const timedOut = jest.fn();
+    guest.on('round_timeout', timedOut);
+    await advance(5900);
+    expect(timedOut).not.toHaveBeenCalled();
+    await advance(100);
+    expect(timedOut).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only let the host pause', async () => {
+    const { roomId, host, guest } = await createRoom();
+    await startGame(host, roomId);
+
+    const refused = next(guest, 'error');
+    guest.emit('pause_game', { roomId });
+    expect(await refused).toEqual({ code: 'UNAUTHORIZED' });
+  });
+});
+
+describe('vote_skip - Replacing a broken song', () => {
+  test('should take back the points and refund the penalties of the skipped song', async () => {
+    const { roomId, host, hostId, guest, guestId } = await createRoom();
+    const scores = {};
+    host.on('update_scores', ({ players }) => players.forEach(p => { scores[p.id] = p.score; }));
+    await startGame(host, roomId, { roundMode: 'everyone', guessRules: { penalty: 10 } });
+
+    const firstOver = next(host, 'round_over');
+    host.emit('submit_guess', { roomId, guess: 'Wonderwall' });
+    guest.emit('submit_guess', { roomId, guess: 'Wonderwall' });
+    await firstOver;
+    const before = { ...scores };
+    expect(before[hostId]).toBeGreaterThan(0);
+    expect(before[guestId]).toBeGreaterThan(0);
+
+    await advanceToRound(host, TIMERS.intermission * 1000);
+    const wrong = next(host, 'wrong_guess');
+    host.emit('submit_guess', { roomId, guess: 'Creep' });
+    expect(await wrong).toMatchObject({ penalty: 10 });
+    const awarded = next(host, 'update_scores', ({ award }) => award?.playerId === guestId);
+    guest.emit('submit_guess', { roomId, guess: 'Song 2' });
+    await awarded;
+    expect(scores[hostId]).toBe(before[hostId] - 10);
+    expect(scores[guestId]).toBeGreaterThan(before[guestId]);
+
+    const firstVote = next(guest, 'skip_votes');
+    host.emit('vote_skip', { roomId });
+    expect(await firstVote).toEqual({ votes: 1, required: 2 });
+    const skipped = next(host, 'song_skipped');
+    guest.emit('vote_skip', { roomId });
+    expect(await skipped).toMatchObject({ song: { title: 'Song 2' }, totalRounds: 2 });
+    expect(scores).toEqual(before);
+
+    // A backup song is played as the same round
+    const replay = await advanceToRound(host, TIMERS.intermission * 1000);
+    expect(replay.roundNumber).toBe(2);
+    const backup = next(guest, 'correct_guess');
+    guest.emit('submit_guess', { roomId, guess: 'Creep' });
+    await backup;
+  });
+});
+
+describe('rematch - Playing again with the same room', () => {
+  // Plays a one-round game to the end, nobody guessing
+  async function playShortGame(host, roomId) {
+    await startGame(host, roomId, { rounds: 1 });
+    const over = next(host, 'game_over');
+    await advance((TIMERS.round + TIMERS.intermission) * 1000);
+    return over;
+  }
+
+  // Bob asks for the rematch and starts it as the new host with Carol, who joins the lobby;
+  // Alice only opts in once its first round is running
+  async function joinRunningRematch(options) {
+    const { roomId, host, hostId, guest, guestId } = await createRoom();
+    await playShortGame(host, roomId);
+
+    const lobby = next(guest, 'room_joined');
+    guest.emit('rematch', { roomId });
+    await lobby;
+    const newcomer = await connect();
+    const joinedLobby = next(newcomer, 'room_joined');
+    newcomer.emit('join_room', { roomId, playerName: 'Carol' });
+    await joinedLobby;
+    await startGame(guest, roomId, options);
+
+    const joined = next(host, 'room_joined');
+    host.emit('rematch', { roomId });
+    return { roomId, host, hostId, guest, guestId, seat: await joined };
+  }
+
+  test('should reopen the lobby and seat whoever opts in', async () => {
+    const { roomId, host, hostId, guest, guestId } = await createRoom();
+    await playShortGame(host, roomId);
+
+    const offered = next(host, 'rematch_offered');
+    const lobby = next(guest, 'room_joined');
+    guest.emit('rematch', { roomId });
+    expect(await offered).toEqual({ by: 'Bob' });
+    expect(await lobby).toMatchObject({ state: 'LOBBY', hostId: guestId, lastSetup: { rounds: 1 } });
+
+    const back = next(host, 'room_joined');
+    host.emit('rematch', { roomId });
+    const room = await back;
+    expect(room.players.map(p => [p.id, p.score])).toEqual([[guestId, 0], [hostId, 0]]);
+  });
+
+  test('should seat players who opt in after the rematch started from the next round', async () => {
+    const { host, hostId, guest, seat } = await joinRunningRematch();
+    expect(seat.state).toBe('PLAYING');
+    expect(seat.spectators.find(p => p.id === hostId)).toMatchObject({ joinNextRound: true });
+
+    await advance(TIMERS.round * 1000);
+    const seated = next(guest, 'player_joined', players => players.some(p => p.id === hostId));
+    await advanceToRound(host, TIMERS.intermission * 1000);
+    expect((await seated).find(p => p.id === hostId)).toMatchObject({ score: 0 });
+  });
+
+  test('should keep them watching in an elimination rematch', async () => {
+    const { roomId, host, hostId, seat } = await joinRunningRematch({ lives: 3 });
+    expect(seat.spectators.find(p => p.id === hostId).joinNextRound).toBeUndefined();
+
+    await advance(TIMERS.round * 1000);
+    await advanceToRound(host, TIMERS.intermission * 1000);
+    const rejoined = next(host, 'room_rejoined');
+    host.emit('rejoin_room', { roomId, sessionToken: seat.sessionToken });
+    const room = await rejoined;
+    expect(room.currentRound).toBe(2);
+    expect(room.players.map(p => p.id)).not.toContain(hostId);
+    expect(room.spectators.map(p => p.id)).toContain(hostId);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Unit tests for collectAnswers() and getCuratedAliases()
+ * Alternate titles come from iTunes, the AI suggestion and the curated alias list
+ */
+
+const { collectAnswers, getCuratedAliases, MAX_ANSWERS } = require('../../utils/answers');
+
+describe('getCuratedAliases()', () => {
+  test('should find aliases for a listed song', () => {
+    expect(getCuratedAliases({ title: 'Song 2', artist: 'Blur' })).toEqual(['Woo Hoo']);
+  });
+
+  test('should tolerate edition markers in the iTunes title', () => {
+    expect(getCuratedAliases({ title: 'Blue (Da Ba Dee) [Radio Edit]', artist: 'Eiffel 65' })).toEqual(['Da Ba Dee']);
+  });
+
+  test('should ignore the same title by another artist', () => {
+    expect(getCuratedAliases({ title: 'Song 2', artist: 'Oasis' })).toEqual([]);
+  });
+});
+
+describe('collectAnswers() - Alternate titles', () => {
+  const song = { title: 'Nel blu, dipinto di blu', artist: 'Domenico Modugno', answers: ['Nel Blu Dipinto Di Blu (Volare)'] };
+
+  test('should merge iTunes variants, AI aliases and curated aliases without duplicates', () => {
+    const recommendation = { artist: 'Domenico Modugno', title: 'Nel blu dipinto di blu', aliases: ['volare', 'Volare (Nel blu)'] };
+    expect(collectAnswers(song, recommendation)).toEqual([
+      'Nel Blu Dipinto Di Blu (Volare)',
+      'volare',
+      'Volare (Nel blu)'
+    ]);
+  });
+
+  test('should ignore AI aliases when iTunes returned a different song', () => {
+    const recommendation = { artist: 'Domenico Modugno', title: 'Vecchio frack', aliases: ['Frack'] };
+    expect(collectAnswers(song, recommendation)).toEqual(['Nel Blu Dipinto Di Blu (Volare)', 'Volare']);
+  });
+
+  test('should drop the canonical title, blanks, non-strings and overlong aliases', () => {
+    const recommendation = { ...song, aliases: ['Nel blu, dipinto di blu', '  ', 42, null, 'x'.repeat(101), ' Volare '] };
+    expect(collectAnswers({ title: song.title, artist: song.artist }, recommendation)).toEqual(['Volare']);
+  });
+
+  test('should work without a recommendation or malformed aliases', () => {
+    expect(collectAnswers({ title: 'Creep', artist: 'Radiohead' })).toEqual([]);
+    expect(collectAnswers({ title: 'Creep', artist: 'Radiohead' }, { title: 'Creep', artist: 'Radiohead', aliases: 'Creep!' })).toEqual([]);
+  });
+
+  test('should cap the number of answers', () => {
+    const aliases = Array.from({ length: MAX_ANSWERS + 5 }, (_, i) => `Alias ${i}`);
+    expect(collectAnswers({ title: 'Creep', artist: 'Radiohead' }, { title: 'Creep', artist: 'Radiohead', aliases })).toHaveLength(MAX_ANSWERS);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for stripMetadata()
+ * Uses small synthetic files: MP3 with ID3v2/ID3v1 tags and an M4A box tree
+ */
+
+const { stripMetadata } = require('../../utils/audioMetadata');
+
+// Builds an MP4 box: 32-bit size + 4-char type + payload
+function box(type, ...children) {
+  const payload = Buffer.concat(children.map(c => (Buffer.isBuffer(c) ? c : Buffer.from(c, 'latin1'))));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(payload.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+function id3v2(tagBody, flags = 0) {
+  const header = Buffer.from([0x49, 0x44, 0x33, 4, 0, flags, 0, 0, 0, tagBody.length]);
+  return Buffer.concat([header, Buffer.from(tagBody, 'latin1')]);
+}
+
+describe('stripMetadata() - MP3', () => {
+  const audio = Buffer.from([0xff, 0xfb, 0x90, 0x64, 1, 2, 3, 4]);
+
+  test('should remove an ID3v2 header', () => {
+    const input = Buffer.concat([id3v2('TIT2 Wonderwall'), audio]);
+    expect(stripMetadata(input)).toEqual(audio);
+  });
+
+  test('should remove an ID3v2 footer when flagged', () => {
+    const footer = Buffer.from('3DI' + '\0'.repeat(7), 'latin1');
+    const input = Buffer.concat([id3v2('TPE1 Oasis', 0x10), footer, audio]);
+    expect(stripMetadata(input)).toEqual(audio);
+  });
+
+  test('should remove an ID3v1 trailer', () => {
+    const tag = Buffer.alloc(128);
+    tag.write('TAGWonderwall', 0, 'latin1');
+    expect(stripMetadata(Buffer.concat([audio, tag]))).toEqual(audio);
+  });
+
+  test('should return unknown formats unchanged', () => {
+    const input = Buffer.from('just some bytes');
+    const output = stripMetadata(input);
+    expect(output).toEqual(input);
+    expect(output).not.toBe(input);
+  });
+});
+
+describe('stripMetadata() - M4A', () => {
+  const build = () => Buffer.concat([
+    box('ftyp', 'M4A \0\0\0\0'),
+    box('moov',
+      box('mvhd', '\0'.repeat(12)),
+      box('trak', box('tkhd', '\0'.repeat(8)), box('udta', box('name', 'Wonderwall'))),
+      box('udta', box('meta', box('ilst', box('©nam', 'Wonderwall'), box('©ART', 'Oasis'))))
+    ),
+    box('mdat', 'AUDIO-DATA')
+  ]);
+
+  test('should blank every user data box without changing the file size', () => {
+    const input = build();
+    const output = stripMetadata(input);
+
+    expect(output.length).toBe(input.length);
+    const text = output.toString('latin1');
+    expect(text).not.toContain('Wonderwall');
+    expect(text).not.toContain('Oasis');
+    expect(text).not.toContain('udta');
+  });
+
+  test('should keep audio data and other boxes at the same offsets', () => {
+    const input = build();
+    const output = stripMetadata(input);
+
+    const mdatOffset = input.indexOf('mdat');
+    expect(output.indexOf('mdat')).toBe(mdatOffset);
+    expect(output.toString('latin1')).toContain('AUDIO-DATA');
+    expect(output.indexOf('mvhd')).toBe(input.indexOf('mvhd'));
+    expect(output.indexOf('tkhd')).toBe(input.indexOf('tkhd'));
+  });
+
+  test('should not modify the input buffer', () => {
+    const input = build();
+    const snapshot = Buffer.from(input);
+    stripMetadata(input);
+    expect(input).toEqual(snapshot);
+  });
+
+  test('should handle 64-bit and to-end box sizes', () => {
+    const large = Buffer.alloc(16 + 5);
+    large.writeUInt32BE(1, 0);
+    large.write('udta', 4, 'latin1');
+    large.writeBigUInt64BE(BigInt(large.length), 8);
+    large.write('Oasis', 16, 'latin1');
+
+    const toEnd = Buffer.concat([Buffer.from([0, 0, 0, 0]), Buffer.from('meta', 'latin1'), Buffer.from('Wonderwall', 'latin1')]);
+
+    const output = stripMetadata(Buffer.concat([box('ftyp', 'M4A '), box('moov', large), toEnd]));
+    const text = output.toString('latin1');
+
+    expect(text).not.toContain('Oasis');
+    expect(text).not.toContain('Wonderwall');
+  });
+
+  test('should stop at malformed boxes', () => {
+    const truncated = Buffer.concat([box('ftyp', 'M4A '), Buffer.from([0, 0, 1, 0]), Buffer.from('udta', 'latin1')]);
+    expect(stripMetadata(truncated)).toEqual(truncated);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the audio proxy service
+ * Tests token lifecycle, cached downloads and Range parsing with mocked axios
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const { createAudioToken, revokeAudioToken, getAudio, parseRange } = require('../../services/audioProxy');
+
+describe('audioProxy - Preview proxy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createAudioToken() / revokeAudioToken()', () => {
+    test('should create opaque tokens that do not contain the URL', () => {
+      const token = createAudioToken('https://audio-ssl.itunes.apple.com/wonderwall.m4a');
+
+      expect(token).toMatch(/^[a-f0-9]{32}$/);
+      expect(createAudioToken('https://audio-ssl.itunes.apple.com/wonderwall.m4a')).not.toBe(token);
+    });
+
+    test('should expire a token once revoked', async () => {
+      const token = createAudioToken('https://preview.m4a');
+      revokeAudioToken(token);
+
+      expect(await getAudio(token)).toBe(null);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAudio()', () => {
+    test('should return null for unknown tokens', async () => {
+      expect(await getAudio('0'.repeat(32))).toBe(null);
+    });
+
+    test('should download the preview once and strip its metadata', async () => {
+      const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 4, 0x41, 0x42, 0x43, 0x44]);
+      const audio = Buffer.from([0xff, 0xfb, 1, 2]);
+      axios.get.mockResolvedValue({
+        data: Buffer.concat([id3, audio]),
+        headers: { 'content-type': 'audio/mpeg' }
+      });
+
+      const token = createAudioToken('https://preview.mp3');
+      const [first, second] = await Promise.all([getAudio(token), getAudio(token)]);
+
+      expect(first.buffer).toEqual(audio);
+      expect(first.contentType).toBe('audio/mpeg');
+      expect(second).toBe(first);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith('https://preview.mp3', expect.objectContaining({
+        responseType: 'arraybuffer',
+        timeout: 5000
+      }));
+    });
+
+    test('should default the content type to audio/mp4', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('x') });
+
+      const audio = await getAudio(createAudioToken('https://preview.m4a'));
+
+      expect(audio.contentType).toBe('audio/mp4');
+    });
+
+    test('should retry after a failed download', async () => {
+      axios.get
+        .mockRejectedValueOnce(new Error('Network Error'))
+        .mockResolvedValueOnce({ data: Buffer.from('ok'), headers: {} });
+
+      const token = createAudioToken('https://preview.m4a');
+
+      await expect(getAudio(token)).rejects.toThrow('Network Error');
+      expect((await getAudio(token)).buffer.toString()).toBe('ok');
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('parseRange()', () => {
+    test('should return undefined when there is no Range header', () => {
+      expect(parseRange(undefined, 100)).toBeUndefined();
+    });
+
+    test('should parse explicit, open-ended and suffix ranges', () => {
+      expect(parseRange('bytes=0-1', 100)).toEqual({ start: 0, end: 1 });
+      expect(parseRange('bytes=10-', 100)).toEqual({ start: 10, end: 99 });
+      expect(parseRange('bytes=-20', 100)).toEqual({ start: 80, end: 99 });
+      expect(parseRange('bytes=90-500', 100)).toEqual({ start: 90, end: 99 });
+    });
+
+    test('should reject malformed or unsatisfiable ranges', () => {
+      expect(parseRange('bytes=-', 100)).toBe(null);
+      expect(parseRange('items=0-1', 100)).toBe(null);
+      expect(parseRange('bytes=100-', 100)).toBe(null);
+      expect(parseRange('bytes=50-10', 100)).toBe(null);
+    });
+  });
+});
@@ -5,9 +5,13 @@
  * 2. Token overlap (≥80% of significant words)
  * 3. Levenshtein distance (≥0.75 similarity for typos)
  * 4. Stopword filtering
+ * Plus the structured evaluateAnswer() result behind it, including "close" guesses,
+ * matching against a song's alternate titles and the number/symbol/contraction normalization,
+ * and the bounded levenshtein() checked against a full-matrix reference
  */
 
-const { checkAnswer } = require('../../utils/checkAnswer');
+const { checkAnswer, evaluateAnswer, matchFields, evaluateFields, getAcceptedTitles, levenshtein, STRICTNESS_PRESETS, DEFAULT_STRICTNESS } = require('../../utils/checkAnswer');
+const { normalizeAnswer, numberToWords } = require('../../utils/answerNormalization');
 
 describe('checkAnswer() - Answer Validation', () => {
   describe('Exact matches (case-insensitive)', () => {
@@ -147,3 +151,293 @@ describe('checkAnswer() - Answer Validation', () => {
     });
   });
 });
+
+describe('matchFields() - Per-field answer validation', () => {
+  const song = { title: 'Wonderwall', artist: 'Oasis' };
+
+  test('should match only the title', () => {
+    expect(matchFields('wonderwal', song, ['title', 'artist'])).toEqual(['title']);
+  });
+
+  test('should match only the artist', () => {
+    expect(matchFields('oasis', song, ['title', 'artist'])).toEqual(['artist']);
+  });
+
+  test('should match both fields when the guess contains both', () => {
+    expect(matchFields('Oasis - Wonderwall', song, ['title', 'artist'])).toEqual(['title', 'artist']);
+  });
+
+  test('should only check the requested fields', () => {
+    expect(matchFields('oasis', song, ['title'])).toEqual([]);
+  });
+
+  test('should return no matches for a wrong guess or missing song', () => {
+    expect(matchFields('Creep', song, ['title', 'artist'])).toEqual([]);
+    expect(matchFields('Wonderwall', null, ['title'])).toEqual([]);
+  });
+});
+
+describe('evaluateAnswer() - Structured result', () => {
+  test('should report the tier that accepted the guess', () => {
+    expect(evaluateAnswer('Song', 'song')).toMatchObject({ match: true, tier: 'exact', similarity: 1, overlap: 1 });
+    expect(evaluateAnswer('Beatles', 'The Beatles')).toMatchObject({ match: true, tier: 'tokens', overlap: 1 });
+    expect(evaluateAnswer('Wonderwal', 'Wonderwall')).toMatchObject({ match: true, tier: 'fuzzy', similarity: 0.9 });
+  });
+
+  test('should report similarity and overlap for a wrong guess', () => {
+    const result = evaluateAnswer('Bohemian Melody', 'Bohemian Rhapsody'); // 5 edits in 17 chars
+    expect(result).toMatchObject({ match: false, tier: null, overlap: 0.5 });
+    expect(result.similarity).toBeCloseTo(12 / 17);
+    // Too short next to the title for the letters to be compared
+    expect(evaluateAnswer('Rhapsody', 'Bohemian Rhapsody')).toMatchObject({ match: false, similarity: null, overlap: 0.5 });
+  });
+
+  test('should flag guesses just under the fuzzy threshold as close', () => {
+    const result = evaluateAnswer('Wndrwll', 'Wonderwall'); // 3 edits in 10 chars
+    expect(result.match).toBe(false);
+    expect(result.similarity).toBeCloseTo(0.7);
+    expect(result.similarity).toBeGreaterThanOrEqual(STRICTNESS_PRESETS.standard.close);
+    expect(result.close).toBe(true);
+  });
+
+  test('should leave the similarity of far-off guesses unmeasured', () => {
+    expect(evaluateAnswer('Apple', 'Orange')).toMatchObject({ match: false, similarity: null, close: false });
+    expect(evaluateAnswer('Creep', 'Karma Police')).toMatchObject({ match: false, similarity: null, close: false });
+  });
+
+  test('should not flag guesses that are far off', () => {
+    expect(evaluateAnswer('Snog', 'Song').close).toBe(false);
+    expect(evaluateAnswer('Apple', 'Orange').close).toBe(false);
+    expect(evaluateAnswer('', 'Song')).toEqual({ match: false, tier: null, similarity: null, overlap: 0, close: false });
+  });
+});
+
+describe('evaluateFields() - Per-field results', () => {
+  const song = { title: 'Wonderwall', artist: 'Oasis' };
+
+  test('should split matched and nearly matched fields', () => {
+    expect(evaluateFields('wndrwll', song, ['title', 'artist'])).toEqual({ matched: [], close: ['title'] });
+    expect(evaluateFields('oasis', song, ['title', 'artist'])).toEqual({ matched: ['artist'], close: [] });
+  });
+
+  test('should return nothing for a missing song', () => {
+    expect(evaluateFields('Wonderwall', null, ['title'])).toEqual({ matched: [], close: [] });
+  });
+});
+
+describe('Alternate titles', () => {
+  const song = { title: 'Nel blu, dipinto di blu', artist: 'Domenico Modugno', answers: ['Volare'] };
+
+  test('should accept any title in the list', () => {
+    expect(checkAnswer('volare', ['Nel blu, dipinto di blu', 'Volare'])).toBe(true);
+    expect(checkAnswer('nel blu dipinto di blu', ['Nel blu, dipinto di blu', 'Volare'])).toBe(true);
+    expect(checkAnswer('Yesterday', ['Nel blu, dipinto di blu', 'Volare'])).toBe(false);
+    expect(checkAnswer('Volare', [])).toBe(false);
+  });
+
+  test('should report the closest title on a miss', () => {
+    const result = evaluateAnswer('voleru', ['Nel blu, dipinto di blu', 'Volare']);
+    expect(result.match).toBe(false);
+    expect(result.close).toBe(true);
+    expect(result.similarity).toBeCloseTo(4 / 6);
+  });
+
+  test('should match the title field against the song answers', () => {
+    expect(matchFields('Volare', song, ['title', 'artist'])).toEqual(['title']);
+    expect(matchFields('Volare', { ...song, answers: undefined }, ['title'])).toEqual([]);
+  });
+
+  test('should list the canonical title first', () => {
+    expect(getAcceptedTitles(song)).toEqual(['Nel blu, dipinto di blu', 'Volare']);
+    expect(getAcceptedTitles({ title: 'Creep' })).toEqual(['Creep']);
+  });
+});
+
+describe('Number, symbol and contraction normalization', () => {
+  test('should treat digits and number words alike', () => {
+    expect(checkAnswer('Two Become One', '2 Become 1')).toBe(true);
+    expect(checkAnswer('2 become 1', 'Two Become One')).toBe(true);
+    expect(checkAnswer('ninety nine luftballons', '99 Luftballons')).toBe(true);
+    expect(evaluateAnswer('Seven Seconds', '7 Seconds').tier).toBe('exact');
+  });
+
+  test('should spell numbers in the title language', () => {
+    expect(evaluateAnswer('ventiquattro volte che non ci sei', '24 volte che non ci sei').tier).toBe('exact');
+    expect(evaluateAnswer('treinta y tres de la noche', '33 de la noche').tier).toBe('exact');
+  });
+
+  test('should keep larger numbers as digits', () => {
+    expect(normalizeAnswer('1999')).toBe('1999');
+    expect(checkAnswer('1999', '1999')).toBe(true);
+  });
+
+  test('should read "&", "+" and "\'n\'" as "and"', () => {
+    expect(evaluateAnswer('Rock and Roll', 'Rock & Roll').tier).toBe('exact');
+    expect(evaluateAnswer("Rock 'n' Roll", 'Rock and Roll').tier).toBe('exact');
+    expect(evaluateAnswer('rock n roll', "Rock'n'Roll").tier).toBe('exact');
+    expect(normalizeAnswer('Tu + io', 'it')).toBe('tu e io');
+    expect(normalizeAnswer('Tú & yo', 'es')).toBe('tu y yo');
+  });
+
+  test('should expand contractions with or without the apostrophe', () => {
+    expect(evaluateAnswer('Dont Stop Me Now', "Don't Stop Me Now").tier).toBe('exact');
+    expect(evaluateAnswer('Do not stop me now', 'Don’t Stop Me Now').tier).toBe('exact');
+    expect(evaluateAnswer('I am still standing', "I'm Still Standing").tier).toBe('exact');
+    expect(evaluateAnswer("Nothin' Compares 2 U", 'Nothing Compares Two U').tier).toBe('exact');
+    expect(normalizeAnswer("un po' di te", 'it')).toBe('un poco di te');
+  });
+
+  test('should leave Italian elisions apart', () => {
+    expect(normalizeAnswer("L'amour toujours", 'it')).toBe('l amour toujours');
+    expect(normalizeAnswer("Quell'estate", 'it')).toBe('quell estate');
+  });
+});
+
+describe('numberToWords()', () => {
+  test('should spell out 0-99 in English', () => {
+    expect(numberToWords(0, 'en')).toBe('zero');
+    expect(numberToWords(13, 'en')).toBe('thirteen');
+    expect(numberToWords(40, 'en')).toBe('forty');
+    expect(numberToWords(21, 'en')).toBe('twenty one');
+  });
+
+  test('should drop the vowel before "uno" and "otto" in Italian', () => {
+    expect(numberToWords(21, 'it')).toBe('ventuno');
+    expect(numberToWords(38, 'it')).toBe('trentotto');
+    expect(numberToWords(23, 'it')).toBe('ventitre');
+  });
+
+  test('should join the twenties and use "y" above them in Spanish', () => {
+    expect(numberToWords(20, 'es')).toBe('veinte');
+    expect(numberToWords(22, 'es')).toBe('veintidos');
+    expect(numberToWords(45, 'es')).toBe('cuarenta y cinco');
+  });
+});
+
+describe('Phonetic tier', () => {
+  test('should be off unless asked for', () => {
+    expect(checkAnswer('Bionse', 'Beyoncé')).toBe(false);
+  });
+
+  test('should accept guesses that sound like the answer', () => {
+    expect(evaluateAnswer('Bionse', 'Beyoncé', { phonetic: true }).tier).toBe('phonetic');
+    expect(checkAnswer('Jovanoti', 'Giovanotti', { phonetic: true })).toBe(true);
+    expect(checkAnswer('Yesterday', 'Beyoncé', { phonetic: true })).toBe(false);
+  });
+
+  test('should not accept different titles that share sounds', () => {
+    for (const [guess, title] of [['Halo', 'Hello'], ['Sorry', 'Sure'], ['Rain', 'Run'], ['Lies', 'Lose'], ['Time', 'Team'], ['Money', 'Mine']]) {
+      expect(checkAnswer(guess, title, { phonetic: true })).toBe(false);
+    }
+  });
+
+  test('should not measure misses below the close threshold even when looking further', () => {
+    expect(evaluateAnswer('Sorry', 'Sure', { phonetic: true }).similarity).toBe(null);
+  });
+
+  test('should still prefer the cheaper tiers', () => {
+    expect(evaluateAnswer('Chakira', 'Shakira', { phonetic: true }).tier).toBe('fuzzy');
+  });
+
+  test('should pass the option through the field checks', () => {
+    const song = { title: 'Halo', artist: 'Beyoncé' };
+    expect(matchFields('Bionse', song, ['title', 'artist'])).toEqual([]);
+    expect(matchFields('Bionse', song, ['title', 'artist'], { phonetic: true })).toEqual(['artist']);
+  });
+});
+
+describe('Strictness presets', () => {
+  test('should default to the standard preset', () => {
+    expect(DEFAULT_STRICTNESS).toBe('standard');
+    expect(evaluateAnswer('Wonderwal', 'Wonderwall')).toEqual(evaluateAnswer('Wonderwal', 'Wonderwall', { strictness: 'standard' }));
+    expect(evaluateAnswer('Wonderwal', 'Wonderwall', { strictness: 'unknown' }).tier).toBe('fuzzy');
+  });
+
+  test('should accept rougher guesses when lenient', () => {
+    expect(checkAnswer('Teen Spirit Smells', 'Smells Like Teen Spirit')).toBe(false);
+    expect(checkAnswer('Teen Spirit Smells', 'Smells Like Teen Spirit', { strictness: 'lenient' })).toBe(true);
+    expect(checkAnswer('Wandarwal', 'Wonderwall')).toBe(false);
+    expect(checkAnswer('Wandarwal', 'Wonderwall', { strictness: 'lenient' })).toBe(true);
+  });
+
+  test('should require every word and fewer typos when strict', () => {
+    expect(checkAnswer('Dancing', 'The Dancing Queen', { strictness: 'strict' })).toBe(false);
+    expect(checkAnswer('Dancing Queen', 'The Dancing Queen', { strictness: 'strict' })).toBe(true);
+    expect(checkAnswer('Sonf', 'Song', { strictness: 'strict' })).toBe(false);
+    expect(evaluateAnswer('Sonf', 'Song', { strictness: 'strict' }).close).toBe(true);
+    expect(checkAnswer('Bohemian Rapsody', 'Bohemian Rhapsody', { strictness: 'strict' })).toBe(true);
+  });
+
+  test('should only accept the normalized title when exact', () => {
+    expect(evaluateAnswer("don't stop me now!", "Don't Stop Me Now", { strictness: 'exact' }).tier).toBe('exact');
+    expect(checkAnswer('Beatles', 'The Beatles', { strictness: 'exact' })).toBe(false);
+    expect(checkAnswer('Wonderwal', 'Wonderwall', { strictness: 'exact' })).toBe(false);
+    expect(evaluateAnswer('Wonderwal', 'Wonderwall', { strictness: 'exact' }).close).toBe(true);
+  });
+
+  test('should ignore the phonetic option when strict or exact', () => {
+    expect(checkAnswer('Bionse', 'Beyoncé', { strictness: 'exact', phonetic: true })).toBe(false);
+    expect(checkAnswer('Bionse', 'Beyoncé', { strictness: 'strict', phonetic: true })).toBe(false);
+    expect(checkAnswer('Bionse', 'Beyoncé', { strictness: 'lenient', phonetic: true })).toBe(true);
+  });
+});
+
+// Full (len1+1)x(len2+1) matrix, as checkAnswer() used to compute it
+function referenceLevenshtein(s1, s2) {
+  const dp = Array.from({ length: s1.length + 1 }, () => new Array(s2.length + 1).fill(0));
+  for (let i = 0; i <= s1.length; i++) dp[i][0] = i;
+  for (let j = 0; j <= s2.length; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= s1.length; i++) {
+    for (let j = 1; j <= s2.length; j++) {
+      const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+    }
+  }
+  return dp[s1.length][s2.length];
+}
+
+// Guess/title pairs from the tests above, after normalization
+const FIXTURES = [
+  ['song', 'song'], ['sonf', 'song'], ['snog', 'song'], ['lovee', 'love'], ['wonderwal', 'wonderwall'],
+  ['wandarwal', 'wonderwall'], ['beatls', 'beatles'], ['beatles', 'the beatles'], ['apple', 'orange'],
+  ['a', 'bohemian rhapsody'], ['rhapsody', 'bohemian rhapsody'], ['bohemian rapsody', 'bohemian rhapsody'],
+  ['teen spirit', 'smells like teen spirit'], ['stones', 'the rolling stones'], ['helene', 'helene'],
+  ['voleru', 'volare'], ['bionse', 'beyonce'], ['chakira', 'shakira'], ['', 'song'], ['song', '']
+];
+
+// Long classical / remix titles, where the bound saves the most work
+const LONG_TITLES = [
+  'symphony no 9 in d minor op 125 choral iv presto allegro assai ode to joy',
+  'the four seasons violin concerto in f minor op 8 no 4 rv 297 winter i allegro non molto',
+  'sandstorm original mix extended version remastered 2021 darude club edit',
+  'bohemian rhapsody remastered 2011 live at wembley stadium july 1986 queen'
+];
+
+describe('levenshtein() - Bounded two-row distance', () => {
+  test('should match the full-matrix distance on every fixture', () => {
+    for (const [a, b] of FIXTURES) {
+      expect(levenshtein(a, b)).toBe(referenceLevenshtein(a, b));
+      expect(levenshtein(b, a)).toBe(referenceLevenshtein(a, b));
+    }
+  });
+
+  test('should return the distance within the bound and Infinity past it', () => {
+    for (const [a, b] of FIXTURES) {
+      const distance = referenceLevenshtein(a, b);
+      for (let bound = 0; bound <= 6; bound++) {
+        expect(levenshtein(a, b, bound)).toBe(distance <= bound ? distance : Infinity);
+      }
+    }
+  });
+
+  test('should agree on long titles', () => {
+    for (const a of LONG_TITLES) {
+      for (const b of LONG_TITLES) {
+        const distance = referenceLevenshtein(a, b);
+        expect(levenshtein(a, b)).toBe(distance);
+        expect(levenshtein(a, b, 20)).toBe(distance <= 20 ? distance : Infinity);
+      }
+    }
+  });
+});
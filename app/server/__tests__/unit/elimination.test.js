@@ -0,0 +1,39 @@
+/**
+ * Unit tests for getLifeLosers()
+ * Elimination mode: who loses a life at the end of a round
+ */
+
+const { getLifeLosers, LIVES_OPTIONS } = require('../../utils/elimination');
+
+describe('getLifeLosers() - Elimination mode', () => {
+  const players = [
+    { id: 'a', score: 300, lives: 2 },
+    { id: 'b', score: 150, lives: 1 },
+    { id: 'c', score: 150, lives: 3 }
+  ];
+  const ids = losers => losers.map(p => p.id);
+
+  test('should expose the lives options', () => {
+    expect(LIVES_OPTIONS).toEqual([1, 3, 5]);
+  });
+
+  test('should take a life from everyone who did not score', () => {
+    expect(ids(getLifeLosers(players, new Set(['a'])))).toEqual(['b', 'c']);
+  });
+
+  test('should take a life from the lowest total when everyone scored', () => {
+    expect(ids(getLifeLosers(players, new Set(['a', 'b', 'c'])))).toEqual(['b', 'c']);
+  });
+
+  test('should spare everyone when nobody would be left', () => {
+    const lastTwo = [
+      { id: 'a', score: 100, lives: 1 },
+      { id: 'b', score: 100, lives: 1 }
+    ];
+    expect(getLifeLosers(lastTwo, new Set())).toEqual([]);
+  });
+
+  test('should still take lives when someone survives the round', () => {
+    expect(ids(getLifeLosers(players, new Set()))).toEqual(['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for resolveGuessRules() and getWrongGuessPenalty()
+ * Wrong-guess rules are clamped into range and penalties never push a score below zero
+ */
+
+const { resolveGuessRules, getWrongGuessPenalty, GUESS_RULE_LIMITS } = require('../../utils/guessRules');
+
+describe('resolveGuessRules() - Wrong-guess rules', () => {
+  const defaults = { penalty: 0, cooldown: 0, maxGuesses: 0 };
+
+  test('should turn every rule off when nothing is sent', () => {
+    expect(resolveGuessRules()).toEqual(defaults);
+    expect(resolveGuessRules(null)).toEqual(defaults);
+    expect(resolveGuessRules('strict')).toEqual(defaults);
+  });
+
+  test('should keep values inside the allowed range', () => {
+    expect(resolveGuessRules({ penalty: 10, cooldown: 2, maxGuesses: 3 }))
+      .toEqual({ penalty: 10, cooldown: 2, maxGuesses: 3 });
+  });
+
+  test('should clamp values outside the allowed range', () => {
+    expect(resolveGuessRules({ penalty: 1000, cooldown: -5, maxGuesses: 99 })).toEqual({
+      penalty: GUESS_RULE_LIMITS.penalty.max,
+      cooldown: GUESS_RULE_LIMITS.cooldown.min,
+      maxGuesses: GUESS_RULE_LIMITS.maxGuesses.max
+    });
+  });
+
+  test('should accept numeric strings and fall back per field on garbage', () => {
+    expect(resolveGuessRules({ penalty: '5', cooldown: 'soon' })).toEqual({ penalty: 5, cooldown: 0, maxGuesses: 0 });
+  });
+});
+
+describe('getWrongGuessPenalty()', () => {
+  test('should take the full penalty when the score allows it', () => {
+    expect(getWrongGuessPenalty(120, 10)).toBe(10);
+  });
+
+  test('should never take more than the current score', () => {
+    expect(getWrongGuessPenalty(4, 10)).toBe(4);
+    expect(getWrongGuessPenalty(0, 10)).toBe(0);
+  });
+});
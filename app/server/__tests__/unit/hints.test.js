@@ -0,0 +1,80 @@
+/**
+ * Unit tests for progressive hints
+ * 1. Blanks: letters hidden, word lengths and punctuation visible
+ * 2. Initials: first letter of each word
+ * 3. Artist name (unless the artist is an answer)
+ * 4. Blurred artwork thumbnail
+ */
+
+const { buildHints, applyHintPenalty, HINT_PRESETS } = require('../../utils/hints');
+
+describe('buildHints() - Progressive hints', () => {
+  const song = {
+    title: 'Bohemian Rhapsody',
+    artist: 'Queen',
+    artwork: 'https://is1-ssl.mzstatic.com/image/thumb/Music/100x100bb.jpg'
+  };
+
+  test('should build hints in order: blanks, initials, artist, artwork', () => {
+    expect(buildHints(song).map(h => h.type)).toEqual(['blanks', 'initials', 'artist', 'artwork']);
+  });
+
+  test('should show words and letters as blanks', () => {
+    expect(buildHints(song)[0].text).toBe('________ ________');
+  });
+
+  test('should keep punctuation and accented letters as blanks', () => {
+    const [blanks, initials] = buildHints({ title: "Je so' pazzo", artist: 'Pino Daniele' });
+    expect(blanks.text).toBe("__ __' _____");
+    expect(initials.text).toBe("J_ s_' p____");
+  });
+
+  test('should reveal the first letter of each word', () => {
+    expect(buildHints(song)[1].text).toBe('B_______ R_______');
+    expect(buildHints({ title: 'Città Vuota' })[1].text).toBe('C____ V____');
+  });
+
+  test('should reveal the artist name', () => {
+    expect(buildHints(song)[2]).toEqual({ type: 'artist', text: 'Queen' });
+  });
+
+  test('should skip the artist hint when the artist is an answer', () => {
+    expect(buildHints(song, { includeArtist: false }).map(h => h.type)).toEqual(['blanks', 'initials', 'artwork']);
+  });
+
+  test('should send only a tiny artwork thumbnail', () => {
+    expect(buildHints(song)[3].artwork).toBe('https://is1-ssl.mzstatic.com/image/thumb/Music/30x30bb.jpg');
+  });
+
+  test('should skip the artwork hint when there is no artwork', () => {
+    expect(buildHints({ title: 'Song', artist: 'Artist' }).map(h => h.type)).toEqual(['blanks', 'initials', 'artist']);
+  });
+});
+
+describe('applyHintPenalty()', () => {
+  test('should not change points when no hints were shown', () => {
+    expect(applyHintPenalty(100, 0)).toBe(100);
+  });
+
+  test('should reduce points for each hint shown', () => {
+    expect(applyHintPenalty(100, 1)).toBe(85);
+    expect(applyHintPenalty(100, 3)).toBe(55);
+  });
+
+  test('should never go below the minimum multiplier', () => {
+    expect(applyHintPenalty(100, 10)).toBe(40);
+  });
+});
+
+describe('HINT_PRESETS', () => {
+  test('should express offsets as increasing fractions of the round', () => {
+    Object.values(HINT_PRESETS).forEach(offsets => {
+      offsets.forEach((offset, i) => {
+        expect(offset).toBeGreaterThan(0);
+        expect(offset).toBeLessThan(1);
+        if (i > 0) expect(offset).toBeGreaterThan(offsets[i - 1]);
+      });
+    });
+    expect(HINT_PRESETS.off).toEqual([]);
+  });
+});
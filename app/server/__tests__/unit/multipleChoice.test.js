@@ -0,0 +1,48 @@
+/**
+ * Unit tests for buildOptions() (multiple-choice rounds)
+ * The real title must always be present, decoys must be distinct
+ * and never a near-match of the real title.
+ */
+
+const { buildOptions, OPTION_COUNT } = require('../../utils/multipleChoice');
+const { mockGeminiPlaylist } = require('../fixtures/mockData');
+
+describe('buildOptions() - Multiple-choice options', () => {
+  const song = { title: 'Wonderwall', artist: 'Oasis' };
+  const pool = mockGeminiPlaylist.map(s => s.title);
+
+  test('should return four options including exactly one correct title', () => {
+    const options = buildOptions(song, pool);
+
+    expect(options).toHaveLength(OPTION_COUNT);
+    const correct = options.filter(o => o.correct);
+    expect(correct).toHaveLength(1);
+    expect(correct[0].title).toBe('Wonderwall');
+  });
+
+  test('should give every option a unique opaque ID', () => {
+    const options = buildOptions(song, pool);
+    const ids = new Set(options.map(o => o.id));
+
+    expect(ids.size).toBe(options.length);
+    options.forEach(o => expect(o.id).toMatch(/^[a-f0-9]{8}$/));
+  });
+
+  test('should skip duplicates and near-matches of the real title', () => {
+    const options = buildOptions(song, ['Wonderwall', 'wonderwall', 'Wonderwall (Remastered)', 'Creep', 'creep', 'Song 2']);
+    const titles = options.map(o => o.title.toLowerCase()).sort();
+
+    // Which spelling of "Creep" survives depends on the shuffle
+    expect(titles).toEqual(['creep', 'song 2', 'wonderwall']);
+  });
+
+  test('should ignore empty or invalid pool entries', () => {
+    const options = buildOptions(song, [null, '', '   ', 42, 'Creep']);
+
+    expect(options.map(o => o.title).sort()).toEqual(['Creep', 'Wonderwall']);
+  });
+
+  test('should honour a custom option count', () => {
+    expect(buildOptions(song, pool, 2)).toHaveLength(2);
+  });
+});
@@ -25,7 +25,8 @@ describe('musicService - iTunes API Integration', () => {
               trackName: 'Wonderwall',
               artistName: 'Oasis',
               previewUrl: 'https://audio-ssl.itunes.apple.com/preview.m4a',
-              artworkUrl100: 'https://is1-ssl.mzstatic.com/image/thumb/Music.jpg'
+              artworkUrl100: 'https://is1-ssl.mzstatic.com/image/thumb/Music.jpg',
+              releaseDate: '1995-10-02T07:00:00Z'
             }
           ]
         }
@@ -37,7 +38,9 @@ describe('musicService - iTunes API Integration', () => {
         title: 'Wonderwall',
         artist: 'Oasis',
         previewUrl: 'https://audio-ssl.itunes.apple.com/preview.m4a',
-        artwork: 'https://is1-ssl.mzstatic.com/image/thumb/Music.jpg'
+        artwork: 'https://is1-ssl.mzstatic.com/image/thumb/Music.jpg',
+        releaseYear: 1995,
+        answers: []
       });
 
       // Verify API was called with correct parameters
@@ -55,6 +58,61 @@ describe('musicService - iTunes API Integration', () => {
       );
     });
 
+    test('should return a null release year when releaseDate is missing or invalid', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          results: [
+            { trackName: 'Song', artistName: 'Artist', previewUrl: 'https://preview.m4a', artworkUrl100: 'https://artwork.jpg' }
+          ]
+        }
+      }).mockResolvedValueOnce({
+        data: {
+          results: [
+            { trackName: 'Song', artistName: 'Artist', previewUrl: 'https://preview.m4a', artworkUrl100: 'https://artwork.jpg', releaseDate: 'not a date' }
+          ]
+        }
+      });
+
+      expect((await searchAndGetPreview('Artist', 'Song')).releaseYear).toBe(null);
+      expect((await searchAndGetPreview('Artist', 'Song')).releaseYear).toBe(null);
+    });
+
+    test('should collect censored and single titles as alternate answers', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          results: [
+            {
+              trackName: 'Song 2',
+              trackCensoredName: 'Song 2 (Woo Hoo)',
+              collectionName: 'Woo Hoo - Single',
+              artistName: 'Blur',
+              previewUrl: 'https://preview.m4a'
+            }
+          ]
+        }
+      });
+
+      expect((await searchAndGetPreview('Blur', 'Song 2')).answers).toEqual(['Song 2 (Woo Hoo)', 'Woo Hoo']);
+    });
+
+    test('should skip alternate titles equal to the track name', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          results: [
+            {
+              trackName: 'Creep',
+              trackCensoredName: 'Creep',
+              collectionName: 'Creep - EP',
+              artistName: 'Radiohead',
+              previewUrl: 'https://preview.m4a'
+            }
+          ]
+        }
+      });
+
+      expect((await searchAndGetPreview('Radiohead', 'Creep')).answers).toEqual([]);
+    });
+
     test('should filter out songs without preview URLs', async () => {
       // Mock response with song missing previewUrl
       axios.get.mockResolvedValue({
@@ -199,6 +257,7 @@ describe('musicService - iTunes API Integration', () => {
         expect(song).toHaveProperty('artist');
         expect(song).toHaveProperty('previewUrl');
         expect(song).toHaveProperty('artwork');
+        expect(song).toHaveProperty('releaseYear');
       });
     });
 
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for phoneticKey() and soundsAlike()
+ * Words spelled differently but pronounced the same share a key, in English, Italian or Spanish
+ */
+
+const { phoneticKey, soundsAlike, PHONETIC_LANGUAGES } = require('../../utils/phonetic');
+
+describe('phoneticKey()', () => {
+  test('should give soundalike spellings the same key', () => {
+    expect(phoneticKey('bionse')).toBe(phoneticKey('beyonce'));
+    expect(phoneticKey('chakira')).toBe(phoneticKey('shakira'));
+    expect(phoneticKey('kween')).toBe(phoneticKey('queen'));
+    expect(phoneticKey('fil')).toBe(phoneticKey('phil'));
+  });
+
+  test('should ignore doubled letters and silent h', () => {
+    expect(phoneticKey('nanini', 'it')).toBe(phoneticKey('nannini', 'it'));
+    expect(phoneticKey('riana')).toBe(phoneticKey('rihanna'));
+    expect(phoneticKey('rok', 'it')).toBe(phoneticKey('rock', 'it'));
+  });
+
+  test('should follow each language spelling rules', () => {
+    expect(phoneticKey('jovanotti', 'it')).toBe(phoneticKey('giovanotti', 'it'));
+    expect(phoneticKey('kiara', 'it')).toBe(phoneticKey('chiara', 'it'));
+    expect(phoneticKey('bida', 'es')).toBe(phoneticKey('vida', 'es'));
+    expect(phoneticKey('yorar', 'es')).toBe(phoneticKey('llorar', 'es'));
+    expect(phoneticKey('vida', 'en')).not.toBe(phoneticKey('bida', 'en'));
+  });
+
+  test('should keep vowel classes', () => {
+    expect(phoneticKey('adele')).toBe('AdElE');
+    expect(phoneticKey('eros')).toBe(phoneticKey('heros'));
+    expect(phoneticKey('halo')).not.toBe(phoneticKey('hello'));
+    expect(phoneticKey('rain')).not.toBe(phoneticKey('run'));
+  });
+
+  test('should fall back to English rules for other languages', () => {
+    expect(phoneticKey('beyonce', 'fr')).toBe(phoneticKey('beyonce', 'en'));
+  });
+});
+
+describe('soundsAlike()', () => {
+  test('should cover English, Italian and Spanish', () => {
+    expect(PHONETIC_LANGUAGES).toEqual(['en', 'it', 'es']);
+  });
+
+  test('should match when enough answer words sound alike', () => {
+    expect(soundsAlike(['bionse'], ['beyonce'], 0.8)).toBe(true);
+    expect(soundsAlike(['vasco', 'rosi'], ['vasco', 'rossi'], 0.8)).toBe(true);
+    expect(soundsAlike(['vasco'], ['vasco', 'rossi'], 0.8)).toBe(false);
+  });
+
+  test('should not match different words', () => {
+    expect(soundsAlike(['love'], ['dove'], 0.8)).toBe(false);
+    expect(soundsAlike(['halo'], ['hello'], 0.8)).toBe(false);
+    expect(soundsAlike(['lies'], ['lose'], 0.8)).toBe(false);
+    expect(soundsAlike(['time'], ['team'], 0.8)).toBe(false);
+    expect(soundsAlike(['money'], ['mine'], 0.8)).toBe(false);
+  });
+
+  test('should ignore answers with very short keys', () => {
+    expect(soundsAlike(['ia'], ['io'], 0.8)).toBe(false);
+    expect(soundsAlike([], ['beyonce'], 0.8)).toBe(false);
+  });
+});
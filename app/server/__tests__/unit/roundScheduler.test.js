@@ -0,0 +1,79 @@
+/**
+ * Unit tests for createRoundScheduler()
+ * Covers cancelling, pausing and resuming the round loop timers
+ */
+
+const { createRoundScheduler } = require('../../utils/roundScheduler');
+
+describe('createRoundScheduler() - Pausable round timers', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should run timers after their delay', () => {
+    const scheduler = createRoundScheduler();
+    const fn = jest.fn();
+
+    scheduler.schedule(fn, 1000);
+    jest.advanceTimersByTime(999);
+    expect(fn).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should cancel every pending timer on clear()', () => {
+    const scheduler = createRoundScheduler();
+    const fn = jest.fn();
+
+    const id = scheduler.schedule(fn, 1000);
+    scheduler.schedule(fn, 2000);
+    scheduler.clear();
+    jest.advanceTimersByTime(5000);
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(scheduler.getRemaining(id)).toBe(null);
+  });
+
+  test('should freeze timers while paused and resume with the time left', () => {
+    const scheduler = createRoundScheduler();
+    const fn = jest.fn();
+
+    const id = scheduler.schedule(fn, 30000);
+    jest.advanceTimersByTime(10000);
+
+    expect(scheduler.pause()).toBe(true);
+    expect(scheduler.pause()).toBe(false);
+    expect(scheduler.isPaused()).toBe(true);
+    jest.advanceTimersByTime(60000);
+    expect(fn).not.toHaveBeenCalled();
+    expect(scheduler.getRemaining(id)).toBe(20000);
+
+    expect(scheduler.resume()).toBe(true);
+    expect(scheduler.resume()).toBe(false);
+    jest.advanceTimersByTime(5000);
+    expect(scheduler.getRemaining(id)).toBe(15000);
+
+    jest.advanceTimersByTime(15000);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(scheduler.getRemaining(id)).toBe(null);
+  });
+
+  test('should hold timers scheduled while paused until resume()', () => {
+    const scheduler = createRoundScheduler();
+    const fn = jest.fn();
+
+    scheduler.pause();
+    scheduler.schedule(fn, 1000);
+    jest.advanceTimersByTime(5000);
+    expect(fn).not.toHaveBeenCalled();
+
+    scheduler.resume();
+    jest.advanceTimersByTime(1000);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
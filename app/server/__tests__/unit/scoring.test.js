@@ -0,0 +1,114 @@
+/**
+ * Unit tests for calculatePoints()
+ * Covers the three scoring curves:
+ * 1. Linear decay from MAX_POINTS to MIN_POINTS over the round
+ * 2. Stepped tiers based on the fraction of the round elapsed
+ * 3. Streak bonus on top of linear decay
+ * Plus applyRank() for "everyone answers" rounds
+ * and calculateYearPoints() for "guess the year" rounds
+ */
+
+const {
+  calculatePoints,
+  applyRank,
+  calculateYearPoints,
+  SCORING_CURVES,
+  MAX_POINTS,
+  MIN_POINTS
+} = require('../../utils/scoring');
+
+describe('calculatePoints() - Speed-based scoring', () => {
+  const roundDurationMs = 30000;
+
+  test('should expose the supported curves', () => {
+    expect(SCORING_CURVES).toEqual(['linear', 'stepped', 'streak']);
+  });
+
+  describe('Linear curve', () => {
+    test('should award max points for an instant answer', () => {
+      expect(calculatePoints({ elapsedMs: 0, roundDurationMs })).toBe(MAX_POINTS);
+    });
+
+    test('should award min points at the end of the round', () => {
+      expect(calculatePoints({ elapsedMs: 30000, roundDurationMs })).toBe(MIN_POINTS);
+    });
+
+    test('should decay linearly in between', () => {
+      // Halfway: 100 - 90 * 0.5 = 55
+      expect(calculatePoints({ elapsedMs: 15000, roundDurationMs, curve: 'linear' })).toBe(55);
+    });
+
+    test('should clamp elapsed time outside the round window', () => {
+      expect(calculatePoints({ elapsedMs: -500, roundDurationMs })).toBe(MAX_POINTS);
+      expect(calculatePoints({ elapsedMs: 45000, roundDurationMs })).toBe(MIN_POINTS);
+    });
+
+    test('should fall back to min points for a zero-length round', () => {
+      expect(calculatePoints({ elapsedMs: 0, roundDurationMs: 0 })).toBe(MIN_POINTS);
+    });
+
+    test('should treat unknown curves as linear', () => {
+      expect(calculatePoints({ elapsedMs: 15000, roundDurationMs, curve: 'bogus' })).toBe(55);
+    });
+  });
+
+  describe('Stepped curve', () => {
+    test('should award tier points by fraction of the round', () => {
+      expect(calculatePoints({ elapsedMs: 3000, roundDurationMs, curve: 'stepped' })).toBe(100);
+      expect(calculatePoints({ elapsedMs: 10000, roundDurationMs, curve: 'stepped' })).toBe(75);
+      expect(calculatePoints({ elapsedMs: 20000, roundDurationMs, curve: 'stepped' })).toBe(50);
+      expect(calculatePoints({ elapsedMs: 29000, roundDurationMs, curve: 'stepped' })).toBe(25);
+    });
+  });
+
+  describe('Streak curve', () => {
+    test('should match linear when there is no streak', () => {
+      expect(calculatePoints({ elapsedMs: 15000, roundDurationMs, curve: 'streak' })).toBe(55);
+    });
+
+    test('should add a bonus per consecutive round won', () => {
+      expect(calculatePoints({ elapsedMs: 15000, roundDurationMs, curve: 'streak', streak: 2 })).toBe(95);
+    });
+
+    test('should cap the streak bonus', () => {
+      expect(calculatePoints({ elapsedMs: 15000, roundDurationMs, curve: 'streak', streak: 10 })).toBe(115);
+    });
+  });
+
+  describe('applyRank()', () => {
+    test('should keep full points for the first correct answer', () => {
+      expect(applyRank(100, 1)).toBe(100);
+    });
+
+    test('should scale points for 2nd and 3rd place', () => {
+      expect(applyRank(100, 2)).toBe(80);
+      expect(applyRank(55, 3)).toBe(33);
+    });
+
+    test('should apply the floor multiplier from 4th place on', () => {
+      expect(applyRank(100, 4)).toBe(50);
+      expect(applyRank(100, 12)).toBe(50);
+    });
+  });
+
+  describe('calculateYearPoints()', () => {
+    test('should award full points for the exact year', () => {
+      expect(calculateYearPoints(1995, 1995)).toBe(100);
+    });
+
+    test('should award partial points within 2 and 5 years', () => {
+      expect(calculateYearPoints(1993, 1995)).toBe(60);
+      expect(calculateYearPoints(1997, 1995)).toBe(60);
+      expect(calculateYearPoints(1990, 1995)).toBe(30);
+    });
+
+    test('should award nothing beyond 5 years', () => {
+      expect(calculateYearPoints(1989, 1995)).toBe(0);
+    });
+
+    test('should award nothing when either year is missing', () => {
+      expect(calculateYearPoints(1995, null)).toBe(0);
+      expect(calculateYearPoints(undefined, 1995)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the session service
+ * Tests the token lifecycle used by rejoin_room
+ */
+
+const { createSession, getSession, getPlayerSessions, revokePlayerSessions, revokeRoomSessions } = require('../../services/sessions');
+
+describe('sessions - Reconnect tokens', () => {
+  test('should issue opaque tokens that resolve to the player seat', () => {
+    const token = createSession('ABC123', 'player-1');
+
+    expect(token).toMatch(/^[a-f0-9]{32}$/);
+    expect(getSession(token)).toEqual({ roomId: 'ABC123', playerId: 'player-1' });
+  });
+
+  test('should return null for unknown tokens', () => {
+    expect(getSession('0'.repeat(32))).toBe(null);
+  });
+
+  test('should list the tokens issued for a player', () => {
+    const first = createSession('DEF456', 'player-4');
+    const second = createSession('DEF456', 'player-4');
+    createSession('DEF456', 'player-5');
+
+    expect(getPlayerSessions('player-4')).toEqual([first, second]);
+    expect(getPlayerSessions('nobody')).toEqual([]);
+  });
+
+  test('should revoke every token of a player and keep the others', () => {
+    const first = createSession('ABC123', 'player-2');
+    const second = createSession('ABC123', 'player-2');
+    const other = createSession('ABC123', 'player-3');
+
+    revokePlayerSessions('player-2');
+
+    expect(getSession(first)).toBe(null);
+    expect(getSession(second)).toBe(null);
+    expect(getSession(other)).toEqual({ roomId: 'ABC123', playerId: 'player-3' });
+  });
+
+  test('should revoke every token of a deleted room and keep other rooms', () => {
+    const player = createSession('GHI789', 'player-6');
+    const pendingRematch = createSession('GHI789', 'player-7');
+    const otherRoom = createSession('JKL012', 'player-8');
+
+    revokeRoomSessions('GHI789');
+
+    expect(getSession(player)).toBe(null);
+    expect(getSession(pendingRematch)).toBe(null);
+    expect(getSession(otherRoom)).toEqual({ roomId: 'JKL012', playerId: 'player-8' });
+  });
+});
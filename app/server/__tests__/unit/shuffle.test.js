@@ -0,0 +1,26 @@
+/**
+ * Unit tests for shuffle() (Fisher-Yates)
+ */
+
+const { shuffle } = require('../../utils/shuffle');
+
+describe('shuffle()', () => {
+  test('should return a new array with the same items', () => {
+    const source = [1, 2, 3, 4, 5];
+    const result = shuffle(source);
+
+    expect(result).not.toBe(source);
+    expect([...result].sort()).toEqual(source);
+  });
+
+  test('should not modify the source array', () => {
+    const source = ['a', 'b', 'c'];
+    shuffle(source);
+    expect(source).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should handle empty and single-item arrays', () => {
+    expect(shuffle([])).toEqual([]);
+    expect(shuffle(['x'])).toEqual(['x']);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for getRequiredSkipVotes()
+ * Votes needed to replace the current song for each room threshold
+ */
+
+const { getRequiredSkipVotes, SKIP_VOTE_THRESHOLDS } = require('../../utils/skipVotes');
+
+describe('getRequiredSkipVotes() - Vote-to-skip thresholds', () => {
+  test('should expose the supported thresholds', () => {
+    expect(Object.keys(SKIP_VOTE_THRESHOLDS)).toEqual(['off', 'majority', 'two_thirds', 'all']);
+  });
+
+  test('should require more than half of the players for a majority', () => {
+    expect(getRequiredSkipVotes('majority', 1)).toBe(1);
+    expect(getRequiredSkipVotes('majority', 2)).toBe(2);
+    expect(getRequiredSkipVotes('majority', 5)).toBe(3);
+    expect(getRequiredSkipVotes('majority', 6)).toBe(4);
+  });
+
+  test('should round two thirds up', () => {
+    expect(getRequiredSkipVotes('two_thirds', 3)).toBe(2);
+    expect(getRequiredSkipVotes('two_thirds', 4)).toBe(3);
+  });
+
+  test('should require every player for "all"', () => {
+    expect(getRequiredSkipVotes('all', 4)).toBe(4);
+  });
+
+  test('should return null when voting is off, unknown or nobody can vote', () => {
+    expect(getRequiredSkipVotes('off', 4)).toBe(null);
+    expect(getRequiredSkipVotes('bogus', 4)).toBe(null);
+    expect(getRequiredSkipVotes('majority', 0)).toBe(null);
+  });
+});
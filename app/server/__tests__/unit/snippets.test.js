@@ -0,0 +1,40 @@
+/**
+ * Unit tests for Heardle-style snippet stages
+ */
+
+const { getSnippetSeconds, applySnippetPenalty, SNIPPET_SECONDS, LAST_STAGE } = require('../../utils/snippets');
+
+describe('Snippet stages', () => {
+  test('should grow 1s, 2s, 4s, 7s, 11s, 16s', () => {
+    expect(SNIPPET_SECONDS).toEqual([1, 2, 4, 7, 11, 16]);
+    expect(LAST_STAGE).toBe(5);
+  });
+
+  describe('getSnippetSeconds()', () => {
+    test('should return the playable length for each stage', () => {
+      expect(getSnippetSeconds(0)).toBe(1);
+      expect(getSnippetSeconds(3)).toBe(7);
+    });
+
+    test('should clamp out-of-range stages', () => {
+      expect(getSnippetSeconds(-1)).toBe(1);
+      expect(getSnippetSeconds(99)).toBe(16);
+    });
+  });
+
+  describe('applySnippetPenalty()', () => {
+    test('should keep full points on the first snippet', () => {
+      expect(applySnippetPenalty(100, 0)).toBe(100);
+    });
+
+    test('should award fewer points for each extension', () => {
+      const points = SNIPPET_SECONDS.map((_, stage) => applySnippetPenalty(100, stage));
+      points.slice(1).forEach((p, i) => expect(p).toBeLessThan(points[i]));
+      expect(points[LAST_STAGE]).toBe(30);
+    });
+
+    test('should clamp out-of-range stages', () => {
+      expect(applySnippetPenalty(100, 42)).toBe(30);
+    });
+  });
+});
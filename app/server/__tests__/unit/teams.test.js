@@ -0,0 +1,62 @@
+/**
+ * Unit tests for team mode helpers
+ * Random balancing, placing newcomers and team standings
+ */
+
+const { balanceTeams, getSmallestTeam, getTeamStandings, TEAM_COUNTS } = require('../../utils/teams');
+
+describe('Team mode', () => {
+  const players = [
+    { id: 'a', name: 'Alice', score: 120, team: 0 },
+    { id: 'b', name: 'Bob', score: 40, team: 1 },
+    { id: 'c', name: 'Carol', score: 90, team: 1 },
+    { id: 'd', name: 'Dan', score: 30, team: 0 }
+  ];
+
+  test('should expose the supported team counts', () => {
+    expect(TEAM_COUNTS).toEqual([2, 3, 4]);
+  });
+
+  describe('balanceTeams()', () => {
+    test('should give every player a team within range', () => {
+      const teams = balanceTeams(players, 3);
+      expect(Object.keys(teams).sort()).toEqual(['a', 'b', 'c', 'd']);
+      Object.values(teams).forEach(team => {
+        expect(team).toBeGreaterThanOrEqual(0);
+        expect(team).toBeLessThan(3);
+      });
+    });
+
+    test('should keep team sizes within one of each other', () => {
+      const many = Array.from({ length: 7 }, (_, i) => ({ id: `p${i}` }));
+      const sizes = [0, 0];
+      Object.values(balanceTeams(many, 2)).forEach(team => sizes[team]++);
+      expect(sizes.sort()).toEqual([3, 4]);
+    });
+  });
+
+  describe('getSmallestTeam()', () => {
+    test('should pick the team with the fewest players', () => {
+      expect(getSmallestTeam(players.slice(0, 3), 2)).toBe(0);
+    });
+
+    test('should pick the lowest index on ties and count empty teams', () => {
+      expect(getSmallestTeam(players, 2)).toBe(0);
+      expect(getSmallestTeam(players, 3)).toBe(2);
+    });
+  });
+
+  describe('getTeamStandings()', () => {
+    test('should add up member scores and rank the teams', () => {
+      const standings = getTeamStandings(players, 2);
+      expect(standings.map(s => [s.team, s.score])).toEqual([[0, 150], [1, 130]]);
+      expect(standings.find(s => s.team === 1).players.map(p => p.name)).toEqual(['Carol', 'Bob']);
+    });
+
+    test('should list empty teams and skip players without a team', () => {
+      const standings = getTeamStandings([...players, { id: 'e', name: 'Eve', score: 500 }], 3);
+      expect(standings).toHaveLength(3);
+      expect(standings[2]).toEqual({ team: 2, score: 0, players: [] });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for resolveTimers()
+ * Lobby timer settings are clamped into range, with defaults for missing values
+ */
+
+const { resolveTimers, TIMER_LIMITS } = require('../../utils/timers');
+
+describe('resolveTimers() - Round timing settings', () => {
+  const defaults = { countdown: 3, round: 30, intermission: 5 };
+
+  test('should use the defaults when nothing is sent', () => {
+    expect(resolveTimers()).toEqual(defaults);
+    expect(resolveTimers(null)).toEqual(defaults);
+    expect(resolveTimers('fast')).toEqual(defaults);
+  });
+
+  test('should keep values inside the allowed range', () => {
+    expect(resolveTimers({ countdown: 5, round: 45, intermission: 10 }))
+      .toEqual({ countdown: 5, round: 45, intermission: 10 });
+  });
+
+  test('should clamp values outside the allowed range', () => {
+    expect(resolveTimers({ countdown: 0, round: 5000, intermission: -1 })).toEqual({
+      countdown: TIMER_LIMITS.countdown.min,
+      round: TIMER_LIMITS.round.max,
+      intermission: TIMER_LIMITS.intermission.min
+    });
+  });
+
+  test('should accept numeric strings and fall back per field on garbage', () => {
+    expect(resolveTimers({ countdown: '4', round: 'abc' }))
+      .toEqual({ countdown: 4, round: 30, intermission: 5 });
+  });
+});
@@ -14,7 +14,21 @@ const cors = require('cors');
 const helmet = require('helmet');
 const musicService = require('./services/musicService');
 const aiService = require('./services/aiService');
-const { checkAnswer } = require('./utils/checkAnswer');
+const audioProxy = require('./services/audioProxy');
+const sessions = require('./services/sessions');
+const { evaluateFields, STRICTNESS_PRESETS, DEFAULT_STRICTNESS } = require('./utils/checkAnswer');
+const { collectAnswers } = require('./utils/answers');
+const { calculatePoints, applyRank, calculateYearPoints, SCORING_CURVES, DEFAULT_CURVE } = require('./utils/scoring');
+const { buildOptions, OPTION_COUNT } = require('./utils/multipleChoice');
+const { shuffle } = require('./utils/shuffle');
+const { buildHints, applyHintPenalty, HINT_PRESETS, DEFAULT_HINT_PRESET } = require('./utils/hints');
+const { getSnippetSeconds, applySnippetPenalty, SNIPPET_SECONDS, LAST_STAGE } = require('./utils/snippets');
+const { resolveTimers } = require('./utils/timers');
+const { createRoundScheduler } = require('./utils/roundScheduler');
+const { getRequiredSkipVotes, SKIP_VOTE_THRESHOLDS, DEFAULT_SKIP_VOTE_THRESHOLD } = require('./utils/skipVotes');
+const { balanceTeams, getSmallestTeam, getTeamStandings, TEAM_COUNTS } = require('./utils/teams');
+const { getLifeLosers, LIVES_OPTIONS } = require('./utils/elimination');
+const { resolveGuessRules, getWrongGuessPenalty } = require('./utils/guessRules');
 
 const app = express();
 
@@ -34,12 +48,56 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
 
 app.get('/health', (_req, res) => res.sendStatus(200));
 
+// Round audio is served under an opaque per-round token so the Apple preview URL
+// (and the ID3/MP4 tags inside the file) never reach the client
+app.get('/audio/:token', async (req, res) => {
+    if (!/^[a-f0-9]{32}$/.test(req.params.token)) {
+        res.sendStatus(404);
+        return;
+    }
+
+    try {
+        const audio = await audioProxy.getAudio(req.params.token);
+        if (!audio) {
+            res.sendStatus(404);
+            return;
+        }
+
+        const size = audio.buffer.length;
+        res.set({
+            'Content-Type': audio.contentType,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'no-store',
+            // The client is served from another origin; helmet defaults to same-origin
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+
+        const range = audioProxy.parseRange(req.headers.range, size);
+        if (range === null) {
+            res.status(416).set('Content-Range', `bytes */${size}`).end();
+        } else if (range) {
+            res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.send(audio.buffer.subarray(range.start, range.end + 1));
+        } else {
+            res.send(audio.buffer);
+        }
+    } catch (e) {
+        console.error('Audio proxy error:', e.message);
+        res.sendStatus(502);
+    }
+});
+
 // Store rooms in memory for speed
 const rooms = {};
 
+// Disconnected players keep their seat (and score) this long before they are removed
+const RECONNECT_GRACE = 60000;
+const disconnectTimers = {};
+
 // Rate limiting: max 30 events per socket per minute
 const rateLimits = {};
 const RATE_LIMIT_WINDOW = 60000;
@@ -59,14 +117,41 @@ function generateRoomId() {
     return crypto.randomBytes(3).toString('hex').toUpperCase();
 }
 
-// Fisher-Yates shuffle
-function shuffle(array) {
-    const arr = [...array];
-    for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
+// Player IDs stay the same across reconnects, unlike socket IDs
+function createPlayer(socket, name) {
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        socketId: socket.id,
+        name,
+        score: 0,
+        streak: 0,
+        connected: true,
+        connectedAt: Date.now()
+    };
+}
+
+function findPlayer(room, socket) {
+    return room.players.find(p => p.socketId === socket.id);
+}
+
+// Players and spectators: everyone with a seat (and a session) in the room
+function getMembers(room) {
+    return [...room.players, ...room.spectators];
+}
+
+function broadcastMembers(room) {
+    io.to(room.id).emit('player_joined', room.players);
+    io.to(room.id).emit('spectators_updated', room.spectators);
+}
+
+// Client IP for ban lists: fly.io puts the real address in Fly-Client-IP. Without its proxy in front,
+// anyone can send that header, so it is only read when TRUST_PROXY says so.
+function getClientIp(socket) {
+    return (TRUST_PROXY && socket.handshake.headers['fly-client-ip']) || socket.handshake.address;
+}
+
+function isHost(room, socket) {
+    return findPlayer(room, socket)?.id === room.hostId;
 }
 
 // Input validation helpers
@@ -78,6 +163,169 @@ function validateRoomId(roomId) {
     return typeof roomId === 'string' && /^[A-F0-9]{6}$/.test(roomId);
 }
 
+function validateSessionToken(token) {
+    return typeof token === 'string' && /^[a-f0-9]{32}$/.test(token);
+}
+
+// Room info sent to clients (the playlist and current song stay server-side)
+function toPublicRoom(room) {
+    const { id, hostId, locked, paused, players, spectators, state, currentRound, totalRounds, settings, lastSetup, teamCount } = room;
+    return { id, hostId, locked, paused, players, spectators, state, currentRound, totalRounds, settings, lastSetup, teamCount, teams: getTeams(room) };
+}
+
+// Everyone who played this game: players still in plus those knocked out in elimination mode
+function getContestants(room) {
+    return [...room.players, ...room.spectators.filter(p => p.eliminatedInRound)];
+}
+
+// Team mode: team totals with each player's contribution, null when playing solo
+function getTeams(room) {
+    return room.teamCount ? getTeamStandings(getContestants(room), room.teamCount) : null;
+}
+
+// Puts a player who is about to play on the smallest team, unless they already have one
+function assignTeam(room, player) {
+    if (!room.teamCount) return;
+    if (player.team >= 0 && player.team < room.teamCount) return;
+    player.team = getSmallestTeam(room.players, room.teamCount);
+}
+
+// Identifies a song across games in the same room, whatever the preview URL
+function songKey(song) {
+    return `${song.artist}|${song.title}`.toLowerCase();
+}
+
+// Song info revealed to clients at the end of a round (no preview URL)
+function toPublicSong(song) {
+    const { title, artist, artwork, releaseYear } = song;
+    return { title, artist, artwork, releaseYear };
+}
+
+// Game modes where players type their answers
+const TYPED_GAME_MODES = ['text', 'heardle'];
+
+// Song fields players can score on in the current answer mode
+function getAnswerFields(room) {
+    if (room.settings.gameMode === 'year') return ['year'];
+    if (room.settings.gameMode === 'choice') return ['title'];
+    return room.settings.answerMode === 'title_artist' ? ['title', 'artist'] : ['title'];
+}
+
+function hasClaimed(room, playerId, field) {
+    return room.roundResults.some(r => r.field === field && (playerId === null || r.playerId === playerId));
+}
+
+// Every player answers on their own in "everyone" rounds and in "guess the year" rounds
+function isSharedRound(room) {
+    return room.settings.roundMode === 'everyone' || room.settings.gameMode === 'year';
+}
+
+// A field is open until claimed by anyone ("first" rounds) or by this player (shared rounds)
+function isFieldOpen(room, playerId, field) {
+    return !hasClaimed(room, isSharedRound(room) ? playerId : null, field);
+}
+
+// The round ends early once there is nothing left to claim, or nobody left who may still answer
+function isRoundComplete(room) {
+    const fields = getAnswerFields(room);
+    const contenders = room.players.filter(p => p.connected && !room.roundLockouts.includes(p.id));
+    if (isSharedRound(room)) {
+        return contenders.every(p => fields.every(f => hasClaimed(room, p.id, f)));
+    }
+    return fields.every(f => hasClaimed(room, null, f)) || contenders.length === 0;
+}
+
+// Classic rounds (first buzzer, single field) keep the single-winner events
+function isClassicRound(room) {
+    return !isSharedRound(room) && getAnswerFields(room).length === 1;
+}
+
+// Applies the room's wrong-guess rules (penalty, cooldown, guess cap); returns whether the player is now locked out
+function recordWrongGuess(socket, room, player) {
+    const { penalty, cooldown, maxGuesses } = room.settings.guessRules;
+    const count = (room.wrongGuesses[player.id] || 0) + 1;
+    room.wrongGuesses[player.id] = count;
+
+    const lost = getWrongGuessPenalty(player.score, penalty);
+    if (lost > 0) {
+        player.score -= lost;
+        room.roundPenalties[player.id] = (room.roundPenalties[player.id] || 0) + lost;
+        io.to(room.id).emit('update_scores', { players: room.players, teams: getTeams(room) });
+    }
+    if (cooldown > 0) room.guessCooldowns[player.id] = Date.now() + cooldown * 1000;
+    const lockedOut = maxGuesses > 0 && count >= maxGuesses;
+    if (lockedOut) room.roundLockouts.push(player.id);
+
+    socket.emit('wrong_guess', {
+        penalty: lost,
+        cooldownMs: cooldown * 1000,
+        guessesLeft: maxGuesses > 0 ? maxGuesses - count : null,
+        lockedOut
+    });
+    // The player may have been the last one still guessing
+    if (lockedOut && isRoundComplete(room)) finishRound(room.id);
+    return lockedOut;
+}
+
+// Heardle rounds: moves the player to the next snippet stage and tells them how much they may play
+function extendSnippet(socket, room, player) {
+    const stage = room.snippetStages[player.id] || 0;
+    if (stage >= LAST_STAGE) return;
+    room.snippetStages[player.id] = stage + 1;
+    socket.emit('snippet_extended', { stage: stage + 1, seconds: getSnippetSeconds(stage + 1) });
+}
+
+// Scores the fields a player just got right and ends the round if nothing is left to claim
+function recordCorrectAnswer(socket, room, player, matched, openFields) {
+    // Points per field depend on how fast the answer arrived and, when shared, on rank
+    const timeMs = Date.now() - room.roundStartedAt;
+    let speedPoints = applyHintPenalty(calculatePoints({
+        elapsedMs: timeMs,
+        roundDurationMs: room.settings.timers.round * 1000,
+        curve: room.settings.scoring,
+        streak: player.streak
+    }), room.hintsShown);
+    if (room.settings.gameMode === 'heardle') {
+        speedPoints = applySnippetPenalty(speedPoints, room.snippetStages[player.id] || 0);
+    }
+    const isFirstClaim = !room.roundResults.some(r => r.playerId === player.id);
+    const claims = matched.map(field => {
+        const rank = room.roundResults.filter(r => r.field === field).length + 1;
+        const points = applyRank(speedPoints, rank);
+        const claim = { playerId: player.id, player: player.name, field, points, timeMs, rank };
+        room.roundResults.push(claim);
+        return claim;
+    });
+    const points = claims.reduce((sum, c) => sum + c.points, 0);
+    player.score += points;
+    if (isFirstClaim) player.streak += 1;
+
+    io.to(room.id).emit('update_scores', {
+        players: room.players,
+        teams: getTeams(room),
+        award: { playerId: player.id, points, timeMs, rank: claims[0].rank, fields: matched }
+    });
+
+    if (!isClassicRound(room)) {
+        socket.emit('correct_guess', {
+            points,
+            timeMs,
+            rank: claims[0].rank,
+            fields: matched,
+            done: matched.length === openFields.length
+        });
+        // In "first" rounds a claimed field is closed for everyone, so it can be revealed
+        const reveal = !isSharedRound(room);
+        claims.forEach(c => io.to(room.id).emit('player_guessed', {
+            player: c.player,
+            rank: c.rank,
+            field: c.field,
+            ...(reveal && { value: room.currentSong[c.field] })
+        }));
+    }
+    if (isRoundComplete(room)) finishRound(room.id);
+}
+
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
@@ -97,21 +345,41 @@ io.on('connection', (socket) => {
         // Default number of rounds; can be overridden when starting the game
         let rounds = 10;
 
+        const player = createPlayer(socket, safeName);
         rooms[roomId] = {
             id: roomId,
-            players: [{ id: socket.id, name: safeName, score: 0 }],
+            hostId: player.id,
+            locked: false,
+            teamCount: 0, // 0 = everyone for themselves
+            players: [player],
+            spectators: [],
+            // Moderation state, never sent to clients
+            clientIps: { [player.id]: getClientIp(socket) },
+            bannedTokens: new Set(),
+            bannedIps: new Set(),
             state: 'LOBBY', // LOBBY, PLAYING, ENDED
             currentRound: 0,
             totalRounds: rounds,
             currentSong: null,
-            scores: {}
+            scores: {},
+            paused: false,
+            // Rematches: the last start_game options, the songs already heard and who has not opted in yet
+            lastSetup: null,
+            playedSongs: new Set(),
+            rematchPending: [],
+            // Every round-loop timer goes through here so the host can pause or skip
+            scheduler: createRoundScheduler()
         };
         socket.join(roomId);
-        socket.emit('room_created', rooms[roomId]);
+        socket.emit('room_created', {
+            ...toPublicRoom(rooms[roomId]),
+            playerId: player.id,
+            sessionToken: sessions.createSession(roomId, player.id)
+        });
         console.log(`Room ${roomId} created by ${safeName}`);
     });
 
-    socket.on('join_room', ({ roomId, playerName }) => {
+    socket.on('join_room', ({ roomId, playerName, sessionToken, spectate }) => {
         if (!checkRateLimit(socket.id)) {
             socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
             return;
@@ -122,18 +390,40 @@ io.on('connection', (socket) => {
         }
 
         const safeName = playerName.trim().slice(0, 50);
-        if (rooms[roomId] && rooms[roomId].state === 'LOBBY') {
-            rooms[roomId].players.push({ id: socket.id, name: safeName, score: 0 });
+        const room = rooms[roomId];
+        if (room && (room.bannedIps.has(getClientIp(socket)) || room.bannedTokens.has(sessionToken))) {
+            socket.emit('error', { code: 'BANNED' });
+        } else if (room && room.locked) {
+            socket.emit('error', { code: 'ROOM_LOCKED' });
+        } else if (room && room.state !== 'ENDED') {
+            const player = createPlayer(socket, safeName);
+            if (spectate === true) {
+                room.spectators.push(player);
+            } else if (room.state === 'LOBBY') {
+                assignTeam(room, player);
+                room.players.push(player);
+            } else {
+                // Late players watch the rest of the current round and start at zero from the next one,
+                // except in elimination games where they can only watch
+                if (joinsNextRound(room)) player.joinNextRound = true;
+                room.spectators.push(player);
+            }
+            room.clientIps[player.id] = getClientIp(socket);
             socket.join(roomId);
-            io.to(roomId).emit('player_joined', rooms[roomId].players);
-            socket.emit('room_joined', rooms[roomId]);
-            console.log(`${safeName} joined room ${roomId}`);
+            broadcastMembers(room);
+            socket.emit('room_joined', {
+                ...toPublicRoom(room),
+                playerId: player.id,
+                sessionToken: sessions.createSession(roomId, player.id),
+                round: getRoundSnapshot(room, player)
+            });
+            console.log(`${safeName} joined room ${roomId}${player.joinNextRound ? ' (from next round)' : spectate === true ? ' as spectator' : ''}`);
         } else {
             socket.emit('error', { code: 'ROOM_NOT_FOUND_OR_STARTED' });
         }
     });
 
-    socket.on('start_game', async ({ roomId, genre, genres, decade, rounds, language, difficulty }) => {
+    socket.on('start_game', async ({ roomId, genre, genres, decade, rounds, language, difficulty, scoring, roundMode, answerMode, gameMode, hints, timers, skipVotes, lives, guessRules, phonetic, strictness }) => {
         if (!checkRateLimit(socket.id)) {
             socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
             return;
@@ -146,11 +436,13 @@ io.on('connection', (socket) => {
         const room = rooms[roomId];
         if (!room || room.players.length === 0) return;
 
-        // Only room creator (first player) can start the game
-        if (room.players[0].id !== socket.id) {
+        // Only the host can start the game
+        if (!isHost(room, socket)) {
             socket.emit('error', { code: 'UNAUTHORIZED' });
             return;
         }
+        // A playlist is already being generated (or played)
+        if (room.state !== 'LOBBY') return;
 
         // 1. Initial room setup — clamp rounds between 1 and 50
         let requestedRounds = Math.max(1, Math.min(50, parseInt(rounds, 10) || 10));
@@ -160,6 +452,10 @@ io.on('connection', (socket) => {
         const ALLOWED_DECADES = new Set(['50s', '60s', '70s', '80s', '90s', '2000s', '2010s', '2020s', '']);
         const ALLOWED_LANGUAGES = new Set(['it', 'en', 'es', '']);
         const ALLOWED_DIFFICULTIES = new Set(['easy', 'hard']);
+        const ALLOWED_SCORING = new Set(SCORING_CURVES);
+        const ALLOWED_ROUND_MODES = new Set(['first', 'everyone']);
+        const ALLOWED_ANSWER_MODES = new Set(['title', 'title_artist']);
+        const ALLOWED_GAME_MODES = new Set(['text', 'choice', 'year', 'heardle']);
 
         const safeGenres = Array.isArray(genres)
             ? genres.filter(g => typeof g === 'string' && ALLOWED_GENRES.has(g))
@@ -167,6 +463,24 @@ io.on('connection', (socket) => {
         const safeDecade = ALLOWED_DECADES.has(decade ?? '') ? (decade || null) : null;
         const safeLanguage = ALLOWED_LANGUAGES.has(language ?? '') ? (language || null) : null;
         const safeDifficulty = ALLOWED_DIFFICULTIES.has(difficulty) ? difficulty : 'easy';
+        const safeScoring = ALLOWED_SCORING.has(scoring) ? scoring : DEFAULT_CURVE;
+        const safeRoundMode = ALLOWED_ROUND_MODES.has(roundMode) ? roundMode : 'first';
+        const safeGameMode = ALLOWED_GAME_MODES.has(gameMode) ? gameMode : 'text';
+        // Artist answers need a text box: choice and year rounds only ever ask for one thing
+        const safeAnswerMode = TYPED_GAME_MODES.includes(safeGameMode) && ALLOWED_ANSWER_MODES.has(answerMode)
+            ? answerMode
+            : 'title';
+        // Title hints make no sense when guessing the year
+        const safeHints = safeGameMode === 'year'
+            ? 'off'
+            : (Object.hasOwn(HINT_PRESETS, hints) ? hints : DEFAULT_HINT_PRESET);
+        const safeTimers = resolveTimers(timers);
+        const safeSkipVotes = Object.hasOwn(SKIP_VOTE_THRESHOLDS, skipVotes) ? skipVotes : DEFAULT_SKIP_VOTE_THRESHOLD;
+        const safeLives = LIVES_OPTIONS.includes(lives) ? lives : 0;
+        const safeGuessRules = resolveGuessRules(guessRules);
+        // Sounds-alike guesses are only accepted when the host turns them on
+        const safePhonetic = phonetic === true;
+        const safeStrictness = Object.hasOwn(STRICTNESS_PRESETS, strictness) ? strictness : DEFAULT_STRICTNESS;
 
         if (safeGenres.length === 0) {
             socket.emit('error', { code: 'INVALID_INPUT' });
@@ -182,41 +496,20 @@ io.on('connection', (socket) => {
 
             console.log(`Room ${roomId} Generating AI playlist: ${safeLanguage}, ${safeDecade}, ${safeDifficulty}, ${requestedRounds} songs`);
 
-            // 3. Call Gemini (Step 1: get song titles) with 20s timeout
-            const AI_TIMEOUT = 20000;
-            const aiRecommendations = await Promise.race([
-                aiService.getSongListFromAI({
-                    genres: activeGenres,
-                    decade: safeDecade,
-                    language: safeLanguage,
-                    difficulty: safeDifficulty,
-                    count: requestedRounds
-                }),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('AI timeout: no response within 15 seconds.')), AI_TIMEOUT)
-                )
-            ]);
-
-            if (!aiRecommendations || aiRecommendations.length === 0) {
-                throw new Error('AI returned no valid results.');
-            }
-
-            // 4. Call Apple Music (Step 2: get audio previews)
-            // Run all search requests in parallel
-            const searchPromises = aiRecommendations.map(song =>
-                musicService.searchAndGetPreview(song.artist, song.title)
-            );
-
-            const results = await Promise.all(searchPromises);
-
-            // 5. Filter out songs not found or without preview
-            const validSongs = results.filter(song => song !== null);
-
-            // Shuffle the final array using Fisher-Yates
-            const shuffledSongs = shuffle(validSongs);
+            // 3-5. AI suggestions, Apple Music previews, filtered and shuffled
+            const { suggestions: aiRecommendations, songs: shuffledSongs } = await fetchPlaylist(room, {
+                genres: activeGenres,
+                decade: safeDecade,
+                language: safeLanguage,
+                difficulty: safeDifficulty,
+                gameMode: safeGameMode
+            }, requestedRounds);
 
-            // Trim to requested number of rounds
-            const finalPlaylist = shuffledSongs.slice(0, requestedRounds);
+            // Trim to requested number of rounds; the rest replace songs voted as broken.
+            // Elimination games go on until one player is left, so they keep every song found.
+            const finalPlaylist = safeLives ? shuffledSongs : shuffledSongs.slice(0, requestedRounds);
+            room.backupSongs = safeLives ? [] : shuffledSongs.slice(requestedRounds);
+            room.skippedSongs = [];
 
             if (finalPlaylist.length === 0) {
                 throw new Error('No songs found on Apple Music matching the AI list.');
@@ -226,15 +519,51 @@ io.on('connection', (socket) => {
             room.songs = finalPlaylist;
             room.totalRounds = finalPlaylist.length;
             room.currentRound = 0;
+            // Every title the AI suggested fits the requested genre/decade, so all make good decoys
+            let decoyTitles = [...aiRecommendations.map(s => s.title), ...shuffledSongs.map(s => s.title)];
+            // Short playlists don't have enough decoys: top up with iTunes results for the same genre
+            if (safeGameMode === 'choice' && new Set(decoyTitles).size < OPTION_COUNT * 2) {
+                const extra = await musicService.getRandomSongs(activeGenres[0], 20, safeLanguage, safeDifficulty);
+                decoyTitles = decoyTitles.concat(extra.map(s => s.title));
+            }
+            room.decoyTitles = [...new Set(decoyTitles)];
+            room.settings = {
+                scoring: safeScoring,
+                roundMode: safeRoundMode,
+                answerMode: safeAnswerMode,
+                gameMode: safeGameMode,
+                hints: safeHints,
+                timers: safeTimers,
+                skipVotes: safeSkipVotes,
+                lives: safeLives,
+                guessRules: safeGuessRules,
+                phonetic: safePhonetic,
+                strictness: safeStrictness
+            };
+            // Pre-fills the lobby if the room goes for a rematch
+            room.lastSetup = {
+                genres: safeGenres,
+                decade: safeDecade,
+                rounds: requestedRounds,
+                language: safeLanguage,
+                difficulty: safeDifficulty,
+                ...room.settings
+            };
             room.state = 'PLAYING';
+            room.players.forEach(p => {
+                if (safeLives) p.lives = safeLives;
+                else delete p.lives;
+            });
+            getMembers(room).forEach(p => delete p.eliminatedInRound);
+            broadcastMembers(room);
 
             console.log(`Room ${roomId} Game started with ${room.totalRounds} songs.`);
 
             // 7. Start Game
-            io.to(roomId).emit('game_started', { totalRounds: room.totalRounds });
+            io.to(roomId).emit('game_started', { totalRounds: room.totalRounds, settings: room.settings, teams: getTeams(room) });
 
             // Short delay to let the frontend transition
-            setTimeout(() => startRound(roomId), 1000);
+            room.scheduler.schedule(() => startRound(roomId), 1000);
 
         } catch (e) {
             console.error(`Room ${roomId} Start game error:`, e.message);
@@ -260,94 +589,907 @@ io.on('connection', (socket) => {
         }
 
         const room = rooms[roomId];
-        if (!room || !room.roundActive || room.state !== 'PLAYING') return;
+        if (!room || !room.roundActive || room.paused || room.state !== 'PLAYING') return;
 
-        if (checkAnswer(guess, room.currentSong.title)) {
-            room.roundActive = false;
-            // Award point
-            const player = room.players.find(p => p.id === socket.id);
-            if (player) {
-                player.score += 1;
-                io.to(roomId).emit('update_scores', room.players);
-                io.to(roomId).emit('round_winner', { player: player.name, song: room.currentSong });
-
-                // Pause to let players see the winner and song info
-                setTimeout(() => {
-                    if (room.currentRound < room.totalRounds) {
-                        startRound(roomId);
-                    } else {
-                        endGame(roomId);
-                    }
-                }, 5000);
-            }
+        const player = findPlayer(room, socket);
+        if (!player || room.roundLockouts.includes(player.id)) return;
+
+        // Multiple-choice and year rounds are answered with submit_choice / submit_year
+        if (!TYPED_GAME_MODES.includes(room.settings.gameMode)) return;
+
+        // A player who already claimed every field has nothing left to guess this round
+        const openFields = getAnswerFields(room).filter(field => isFieldOpen(room, player.id, field));
+        if (openFields.length === 0) return;
+
+        // Guesses sent during the wrong-guess cooldown are dropped
+        if (Date.now() < (room.guessCooldowns[player.id] || 0)) return;
+
+        const { matched, close } = evaluateFields(guess, room.currentSong, openFields, {
+            strictness: room.settings.strictness,
+            phonetic: room.settings.phonetic
+        });
+        if (matched.length === 0) {
+            const lockedOut = recordWrongGuess(socket, room, player);
+            // Nearly right: say so (and which part), but never what the answer is
+            if (close.length > 0 && !lockedOut) socket.emit('close_guess', { fields: close });
+            // Heardle rounds: a wrong guess unlocks a longer snippet
+            if (room.settings.gameMode === 'heardle' && !lockedOut) extendSnippet(socket, room, player);
+            return;
+        }
+
+        recordCorrectAnswer(socket, room, player, matched, openFields);
+    });
+
+    socket.on('skip_snippet', ({ roomId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId)) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || !room.roundActive || room.paused || room.state !== 'PLAYING' || room.settings.gameMode !== 'heardle') return;
+
+        const player = findPlayer(room, socket);
+        if (player) extendSnippet(socket, room, player);
+    });
+
+    socket.on('submit_choice', ({ roomId, optionId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || typeof optionId !== 'string') {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || !room.roundActive || room.paused || room.state !== 'PLAYING' || room.settings.gameMode !== 'choice') return;
+
+        const player = findPlayer(room, socket);
+        if (!player || room.roundLockouts.includes(player.id)) return;
+
+        const openFields = getAnswerFields(room).filter(field => isFieldOpen(room, player.id, field));
+        if (openFields.length === 0) return;
+
+        const option = room.roundOptions.find(o => o.id === optionId);
+        if (!option) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        if (option.correct) {
+            recordCorrectAnswer(socket, room, player, openFields, openFields);
+        } else {
+            // A wrong tap locks the player out for the rest of the round
+            room.roundLockouts.push(player.id);
+            socket.emit('wrong_choice', { optionId });
+            if (isRoundComplete(room)) finishRound(roomId);
+        }
+    });
+
+    socket.on('submit_year', ({ roomId, year }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        const maxYear = new Date().getFullYear() + 1;
+        if (!validateRoomId(roomId) || !Number.isInteger(year) || year < 1900 || year > maxYear) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || !room.roundActive || room.paused || room.state !== 'PLAYING' || room.settings.gameMode !== 'year') return;
+
+        const player = findPlayer(room, socket);
+        if (!player || !isFieldOpen(room, player.id, 'year')) return;
+
+        // One answer per player; points are assigned and revealed when the round ends
+        room.roundResults.push({
+            playerId: player.id,
+            player: player.name,
+            field: 'year',
+            year,
+            points: 0,
+            timeMs: Date.now() - room.roundStartedAt
+        });
+        socket.emit('year_submitted', { year });
+        io.to(roomId).emit('player_guessed', { player: player.name, field: 'year' });
+
+        if (isRoundComplete(room)) finishRound(roomId);
+    });
+
+    socket.on('transfer_host', ({ roomId, playerId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || typeof playerId !== 'string') {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room) return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+
+        const target = room.players.find(p => p.id === playerId && p.connected);
+        if (!target) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+        setHost(room, target.id);
+    });
+
+    // Host moderation: kick (can join again) and ban (session token and IP are blocked)
+    const handleRemoval = (eventName, banned) => ({ roomId, playerId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || typeof playerId !== 'string') {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room) return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+
+        const target = getMembers(room).find(p => p.id === playerId);
+        if (!target || target.id === room.hostId) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        if (banned) {
+            sessions.getPlayerSessions(target.id).forEach(token => room.bannedTokens.add(token));
+            if (room.clientIps[target.id]) room.bannedIps.add(room.clientIps[target.id]);
+        }
+
+        const targetSocket = io.sockets.sockets.get(target.socketId);
+        if (targetSocket) {
+            targetSocket.emit('kicked', { banned });
+            targetSocket.leave(roomId);
+        }
+        console.log(`Room ${roomId} ${eventName}: ${target.name}`);
+        removePlayer(roomId, target.id);
+    };
+
+    socket.on('kick_player', handleRemoval('kick_player', false));
+    socket.on('ban_player', handleRemoval('ban_player', true));
+
+    socket.on('lock_room', ({ roomId, locked }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || typeof locked !== 'boolean') {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room) return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+
+        room.locked = locked;
+        io.to(roomId).emit('room_locked', { locked });
+    });
+
+    // Team mode: choosing a team count (re)shuffles everyone into balanced teams, 0 turns it off
+    socket.on('set_teams', ({ roomId, teamCount }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || (teamCount !== 0 && !TEAM_COUNTS.includes(teamCount))) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || room.state !== 'LOBBY') return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+
+        room.teamCount = teamCount;
+        const teams = teamCount ? balanceTeams(room.players, teamCount) : {};
+        room.players.forEach(p => {
+            if (teamCount) p.team = teams[p.id];
+            else delete p.team;
+        });
+        io.to(roomId).emit('teams_changed', { teamCount });
+        broadcastMembers(room);
+    });
+
+    socket.on('set_player_team', ({ roomId, playerId, team }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || typeof playerId !== 'string' || !Number.isInteger(team)) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || room.state !== 'LOBBY') return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+
+        const target = room.players.find(p => p.id === playerId);
+        if (!target || team < 0 || team >= room.teamCount) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+        target.team = team;
+        broadcastMembers(room);
+    });
+
+    // Host playback controls: pause/resume freeze every round timer, skip ends the round now
+    const handleHostControl = (action) => ({ roomId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId)) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || room.state !== 'PLAYING') return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+        action(room);
+    };
+
+    socket.on('pause_game', handleHostControl(room => {
+        if (!room.scheduler.pause()) return;
+        room.paused = true;
+        room.pausedAt = Date.now();
+        io.to(room.id).emit('game_paused');
+    }));
+
+    socket.on('resume_game', handleHostControl(room => {
+        if (!room.scheduler.resume()) return;
+        room.paused = false;
+        // The pause does not count towards answer times or the guess window
+        if (room.roundActive) {
+            room.roundStartedAt += Date.now() - room.pausedAt;
+            room.roundEndsAt = Date.now() + room.scheduler.getRemaining(room.roundTimeoutId);
+        }
+        io.to(room.id).emit('game_resumed', {
+            endsAt: room.roundActive ? room.roundEndsAt : null,
+            serverTime: Date.now()
+        });
+    }));
+
+    socket.on('skip_song', handleHostControl(room => {
+        if (room.roundActive) finishRound(room.id, true);
+    }));
+
+    socket.on('vote_skip', ({ roomId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId)) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room || !room.roundActive || room.paused || room.state !== 'PLAYING') return;
+
+        const player = findPlayer(room, socket);
+        const required = getRequiredSkipVotes(room.settings.skipVotes, room.players.filter(p => p.connected).length);
+        if (!player || required === null || room.roundSkipVotes.has(player.id)) return;
+
+        room.roundSkipVotes.add(player.id);
+        io.to(roomId).emit('skip_votes', { votes: room.roundSkipVotes.size, required });
+        if (room.roundSkipVotes.size >= required) replaceCurrentSong(roomId);
+    });
+
+    socket.on('rematch', ({ roomId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId)) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room) {
+            socket.emit('error', { code: 'ROOM_NOT_FOUND_OR_STARTED' });
+            return;
+        }
+
+        // The first one to ask takes the room back to the lobby, everyone else is invited
+        const member = [...getMembers(room), ...room.rematchPending].find(p => p.socketId === socket.id);
+        if (!member) return;
+        if (room.state === 'ENDED') {
+            openRematch(room, member);
+        } else if (!room.rematchPending.includes(member)) {
+            return;
+        }
+
+        room.rematchPending = room.rematchPending.filter(p => p !== member);
+        member.score = 0;
+        member.streak = 0;
+        delete member.joinNextRound;
+        if (room.state === 'LOBBY') {
+            assignTeam(room, member);
+            room.players.push(member);
         } else {
-            socket.emit('wrong_guess');
+            // The rematch already started: same as joining late
+            if (joinsNextRound(room)) member.joinNextRound = true;
+            room.spectators.push(member);
+        }
+        socket.join(roomId);
+        ensureHost(room);
+        broadcastMembers(room);
+        socket.emit('room_joined', {
+            ...toPublicRoom(room),
+            playerId: member.id,
+            sessionToken: sessions.createSession(roomId, member.id),
+            round: getRoundSnapshot(room, member)
+        });
+        console.log(`${member.name} is in for a rematch in room ${roomId}`);
+    });
+
+    socket.on('promote_spectator', ({ roomId, playerId }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || typeof playerId !== 'string') {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const room = rooms[roomId];
+        if (!room) return;
+
+        if (!isHost(room, socket)) {
+            socket.emit('error', { code: 'UNAUTHORIZED' });
+            return;
+        }
+        // Joining mid-round would let them score on a song they only half heard,
+        // and an elimination game is closed once it started
+        if (room.roundActive || (room.state === 'PLAYING' && room.settings.lives)) {
+            socket.emit('error', { code: 'ROUND_IN_PROGRESS' });
+            return;
         }
+
+        const index = room.spectators.findIndex(p => p.id === playerId);
+        if (index === -1) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+        promoteSpectators(room, [room.spectators[index]]);
+    });
+
+    socket.on('rejoin_room', ({ roomId, sessionToken }) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', { code: 'RATE_LIMIT_EXCEEDED' });
+            return;
+        }
+        if (!validateRoomId(roomId) || !validateSessionToken(sessionToken)) {
+            socket.emit('error', { code: 'INVALID_INPUT' });
+            return;
+        }
+
+        const session = sessions.getSession(sessionToken);
+        const room = rooms[roomId];
+        const player = session && session.roomId === roomId && room
+            ? getMembers(room).find(p => p.id === session.playerId)
+            : null;
+        if (!player) {
+            socket.emit('error', { code: room?.bannedTokens.has(sessionToken) ? 'BANNED' : 'SESSION_EXPIRED' });
+            return;
+        }
+
+        clearTimeout(disconnectTimers[player.id]);
+        delete disconnectTimers[player.id];
+
+        // If the old connection is somehow still around (e.g. another tab), it loses the seat
+        if (player.socketId !== socket.id) {
+            io.sockets.sockets.get(player.socketId)?.leave(roomId);
+        }
+        player.socketId = socket.id;
+        player.connected = true;
+        player.connectedAt = Date.now();
+        room.clientIps[player.id] = getClientIp(socket);
+        socket.join(roomId);
+        // Nobody was left to take over while the host was away
+        ensureHost(room);
+
+        broadcastMembers(room);
+        socket.emit('room_rejoined', {
+            ...toPublicRoom(room),
+            playerId: player.id,
+            sessionToken,
+            round: getRoundSnapshot(room, player)
+        });
+        console.log(`${player.name} rejoined room ${roomId}`);
     });
 
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
         // Clean up rate limit data
         delete rateLimits[socket.id];
-        // Remove player from any room they were in
+        // Keep the player's seat for a while so they can rejoin_room with their session token
         for (const roomId in rooms) {
             const room = rooms[roomId];
-            const playerIndex = room.players.findIndex(p => p.id === socket.id);
-            if (playerIndex !== -1) {
-                room.players.splice(playerIndex, 1);
-                if (room.players.length === 0) {
-                    delete rooms[roomId];
-                    console.log(`Room ${roomId} deleted (empty after disconnect)`);
-                } else {
-                    io.to(roomId).emit('player_joined', room.players);
+            room.rematchPending = room.rematchPending.filter(p => p.socketId !== socket.id);
+            const player = getMembers(room).find(p => p.socketId === socket.id);
+            if (player) {
+                player.connected = false;
+                broadcastMembers(room);
+                ensureHost(room);
+                // The leaver may have been the last one still guessing
+                if (room.roundActive && isRoundComplete(room)) {
+                    finishRound(roomId);
                 }
+                disconnectTimers[player.id] = setTimeout(() => removePlayer(roomId, player.id), RECONNECT_GRACE);
                 break;
             }
         }
     });
 });
 
+function setHost(room, hostId) {
+    room.hostId = hostId;
+    io.to(room.id).emit('host_changed', { hostId });
+    console.log(`Room ${room.id} host is now ${hostId}`);
+}
+
+// An offline host hands over to the player (or, failing that, spectator) connected the longest
+function ensureHost(room) {
+    const host = getMembers(room).find(p => p.id === room.hostId);
+    if (host?.connected) return;
+
+    const byConnectedAt = (a, b) => a.connectedAt - b.connectedAt;
+    const next = room.players.filter(p => p.connected).sort(byConnectedAt)[0]
+        || room.spectators.filter(p => p.connected).sort(byConnectedAt)[0];
+    if (next) setHost(room, next.id);
+}
+
+// Empties the finished room back into the lobby. Connected members wait in rematchPending,
+// out of the socket.io room, until they opt in; the others are dropped.
+function openRematch(room, requester) {
+    clearTimeout(room.cleanupTimeoutId);
+    io.to(room.id).emit('rematch_offered', { by: requester.name });
+
+    const invited = getMembers(room).filter(p => p.connected && p !== requester);
+    invited.forEach(p => io.sockets.sockets.get(p.socketId)?.leave(room.id));
+    // Whoever skipped the previous rematch is still welcome
+    room.rematchPending = [...room.rematchPending, ...invited];
+    getMembers(room).forEach(p => {
+        if (p === requester) return;
+        clearTimeout(disconnectTimers[p.id]);
+        delete disconnectTimers[p.id];
+        sessions.revokePlayerSessions(p.id);
+        if (!room.rematchPending.includes(p)) delete room.clientIps[p.id];
+    });
+
+    room.players = [];
+    room.spectators = [];
+    room.state = 'LOBBY';
+    room.currentRound = 0;
+    room.totalRounds = room.lastSetup.rounds;
+    room.currentSong = null;
+    room.paused = false;
+    console.log(`Room ${room.id} back in the lobby for a rematch`);
+}
+
+// Whether a late player gets a seat from the next round: elimination games only take them before their first round
+function joinsNextRound(room) {
+    return room.state === 'LOADING' || !room.settings?.lives;
+}
+
+// Moves spectators into the game with a fresh score
+function promoteSpectators(room, promoted) {
+    if (promoted.length === 0) return;
+    room.spectators = room.spectators.filter(p => !promoted.includes(p));
+    promoted.forEach(p => {
+        delete p.joinNextRound;
+        p.score = 0;
+        p.streak = 0;
+        // People who joined while the playlist was loading start an elimination game with full lives
+        if (room.settings?.lives) p.lives = room.settings.lives;
+        assignTeam(room, p);
+        room.players.push(p);
+    });
+    broadcastMembers(room);
+}
+
+// Drops a player for good once their reconnect grace period is over
+function removePlayer(roomId, playerId) {
+    clearTimeout(disconnectTimers[playerId]);
+    delete disconnectTimers[playerId];
+    sessions.revokePlayerSessions(playerId);
+
+    const room = rooms[roomId];
+    if (!room) return;
+    if (!getMembers(room).some(p => p.id === playerId)) return;
+
+    room.players = room.players.filter(p => p.id !== playerId);
+    room.spectators = room.spectators.filter(p => p.id !== playerId);
+    delete room.clientIps[playerId];
+    if (getMembers(room).length === 0) {
+        room.scheduler.clear();
+        revokeRoomAudio(room);
+        sessions.revokeRoomSessions(roomId);
+        delete rooms[roomId];
+        console.log(`Room ${roomId} deleted (empty after disconnect)`);
+    } else {
+        broadcastMembers(room);
+        ensureHost(room);
+        if (room.roundActive && isRoundComplete(room)) {
+            finishRound(roomId);
+        }
+    }
+}
+
+/**
+ * Asks the AI for songs and keeps the ones Apple Music has a preview for
+ * @param {Object} room - Songs the room already played are left out
+ * @param {{ genres: string[], decade: ?string, language: ?string, difficulty: string, gameMode: string }} setup
+ * @param {number} count - Songs wanted
+ * @returns {Promise<{ suggestions: Object[], songs: Object[] }>} - Every AI suggestion, and the playable songs shuffled
+ */
+async function fetchPlaylist(room, { genres, decade, language, difficulty, gameMode }, count) {
+    // Call Gemini (Step 1: get song titles) with 20s timeout
+    const AI_TIMEOUT = 20000;
+    const suggestions = await Promise.race([
+        aiService.getSongListFromAI({
+            genres,
+            decade,
+            language,
+            difficulty,
+            // Extra suggestions make up for the songs this room already played
+            count: count + Math.min(room.playedSongs.size, count)
+        }),
+        new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('AI timeout: no response within 15 seconds.')), AI_TIMEOUT)
+        )
+    ]);
+
+    if (!suggestions || suggestions.length === 0) {
+        throw new Error('AI returned no valid results.');
+    }
+
+    // Call Apple Music (Step 2: get audio previews)
+    // Run all search requests in parallel
+    const results = await Promise.all(suggestions.map(song =>
+        musicService.searchAndGetPreview(song.artist, song.title)
+    ));
+    // Alternate titles accepted when answering (the canonical title is still the one shown)
+    results.forEach((song, i) => {
+        if (song) song.answers = collectAnswers(song, suggestions[i]);
+    });
+
+    // Filter out songs not found or without preview, already played in this room,
+    // and, for year rounds, without a release year
+    const validSongs = results.filter(song =>
+        song !== null &&
+        !room.playedSongs.has(songKey(song)) &&
+        (gameMode !== 'year' || song.releaseYear !== null)
+    );
+
+    // Shuffle the final array using Fisher-Yates
+    return { suggestions, songs: shuffle(validSongs) };
+}
+
+// Elimination games outlast their playlist: more songs with the same setup,
+// or the game ends when none can be found
+async function extendPlaylist(roomId) {
+    const room = rooms[roomId];
+    let songs = [];
+    let suggestions = [];
+    try {
+        ({ songs, suggestions } = await fetchPlaylist(room, room.lastSetup, room.lastSetup.rounds));
+    } catch (e) {
+        console.error(`Room ${roomId} Playlist top-up error:`, e.message);
+    }
+    // The room may have emptied while the songs were loading
+    if (rooms[roomId] !== room || room.state !== 'PLAYING') return;
+
+    if (songs.length === 0) {
+        endGame(roomId);
+        return;
+    }
+    room.songs.push(...songs);
+    room.totalRounds += songs.length;
+    room.decoyTitles = [...new Set([...room.decoyTitles, ...suggestions.map(s => s.title)])];
+    console.log(`Room ${roomId} Playlist extended with ${songs.length} songs.`);
+    io.to(roomId).emit('playlist_extended', { totalRounds: room.totalRounds });
+    startRound(roomId);
+}
+
 function startRound(roomId) {
     const room = rooms[roomId];
     if (!room) return;
-    if (room.currentRound >= room.totalRounds) {
+    // Elimination games are over as soon as a single player is left
+    const lastOneStanding = room.settings.lives && room.currentRound > 0 && room.players.length <= 1;
+    if (room.currentRound >= room.totalRounds && room.settings.lives && !lastOneStanding) {
+        extendPlaylist(roomId);
+        return;
+    }
+    if (room.currentRound >= room.totalRounds || lastOneStanding) {
         endGame(roomId);
         return;
     }
 
+    const { countdown, round } = room.settings.timers;
+
+    // Late joiners become players before the countdown; an elimination game only takes them before its first round
+    if (!room.settings.lives || room.currentRound === 0) {
+        promoteSpectators(room, room.spectators.filter(p => p.joinNextRound));
+    }
+
     // Emit countdown signal
-    io.to(roomId).emit('start_countdown', { duration: 3 });
+    io.to(roomId).emit('start_countdown', { duration: countdown });
 
-    setTimeout(() => {
-        const song = room.songs[room.currentRound];
+    // Register the next preview now so the proxy can fetch it during the countdown
+    const nextSong = room.songs[room.currentRound];
+    const audioToken = audioProxy.createAudioToken(nextSong.previewUrl);
+    audioProxy.getAudio(audioToken).catch(() => {});
+    // Kept on the room so it can be revoked if the countdown never fires
+    room.nextAudioToken = audioToken;
+
+    room.scheduler.schedule(() => {
+        const song = nextSong;
+        room.audioToken = audioToken;
+        room.nextAudioToken = null;
         room.currentSong = song;
+        room.playedSongs.add(songKey(song));
         room.roundActive = true;
+        room.roundStartedAt = Date.now();
+        room.roundEndsAt = room.roundStartedAt + round * 1000;
+        room.roundResults = [];
+        room.roundLockouts = [];
+        room.wrongGuesses = {};
+        room.roundPenalties = {};
+        room.guessCooldowns = {};
+        room.hintsShown = 0;
+        room.snippetStages = {};
+        room.roundSkipVotes = new Set();
+        room.roundOptions = room.settings.gameMode === 'choice'
+            ? buildOptions(song, room.decoyTitles)
+            : null;
         room.currentRound++;
 
-        io.to(roomId).emit('new_round', {
-            roundNumber: room.currentRound,
-            previewUrl: song.previewUrl
-        });
+        io.to(roomId).emit('new_round', getRoundPayload(room));
+
+        scheduleHints(roomId, song);
+
+        // Timeout if no one guesses within the round window
+        room.roundTimeoutId = room.scheduler.schedule(() => finishRound(roomId), round * 1000);
+    }, countdown * 1000);
+}
+
+// Revokes the current preview link and the one registered for a countdown still pending
+function revokeRoomAudio(room) {
+    audioProxy.revokeAudioToken(room.audioToken);
+    audioProxy.revokeAudioToken(room.nextAudioToken);
+    room.audioToken = null;
+    room.nextAudioToken = null;
+}
+
+// What every client needs to play the current round
+function getRoundPayload(room, snippetStage = 0) {
+    return {
+        roundNumber: room.currentRound,
+        audioUrl: `/audio/${room.audioToken}`,
+        // Clients draw the timer bar from these rather than their own clocks
+        duration: room.settings.timers.round,
+        endsAt: room.roundEndsAt,
+        serverTime: Date.now(),
+        // Heardle rounds: the client may only play this many seconds until a wrong guess or skip
+        ...(room.settings.gameMode === 'heardle' && {
+            snippetSeconds: getSnippetSeconds(snippetStage),
+            snippetStages: SNIPPET_SECONDS
+        }),
+        // Only IDs and labels go to the client: which option is correct stays server-side
+        ...(room.roundOptions && {
+            options: room.roundOptions.map(({ id, title }) => ({ id, label: title }))
+        })
+    };
+}
+
+// The current round as seen by a player who just rejoined (null between rounds)
+function getRoundSnapshot(room, player) {
+    if (!room.roundActive) return null;
+
+    const reveal = !isSharedRound(room);
+    const mine = room.roundResults.filter(r => r.playerId === player.id);
+    return {
+        ...getRoundPayload(room, room.snippetStages[player.id] || 0),
+        // Seconds into the preview, so the audio resumes where the others are
+        position: ((room.paused ? room.pausedAt : Date.now()) - room.roundStartedAt) / 1000,
+        hints: getRoundHints(room, room.currentSong)
+            .slice(0, room.hintsShown)
+            .map((hint, index) => ({ index, ...hint })),
+        guessed: room.roundResults.map(r => ({
+            player: r.player,
+            field: r.field,
+            ...(reveal && { value: room.currentSong[r.field] })
+        })),
+        mine: mine.length === 0 ? null : {
+            points: mine.reduce((sum, r) => sum + r.points, 0),
+            timeMs: mine[0].timeMs,
+            rank: mine[0].rank,
+            fields: mine.map(r => r.field),
+            year: mine[0].year,
+            done: getAnswerFields(room).every(f => !isFieldOpen(room, player.id, f))
+        },
+        lockedOut: room.roundLockouts.includes(player.id)
+    };
+}
+
+function getRoundHints(room, song) {
+    return buildHints(song, { includeArtist: !getAnswerFields(room).includes('artist') });
+}
+
+// Emits the song's hints at the room's preset offsets while the round is still running
+function scheduleHints(roomId, song) {
+    const room = rooms[roomId];
+    const offsets = HINT_PRESETS[room.settings.hints] || [];
+    const hints = getRoundHints(room, song);
+
+    hints.slice(0, offsets.length).forEach((hint, index) => {
+        room.scheduler.schedule(() => {
+            if (!room.roundActive || room.currentSong !== song) return;
+            room.hintsShown = index + 1;
+            io.to(roomId).emit('hint', { index, ...hint });
+        }, offsets[index] * room.settings.timers.round * 1000);
+    });
+}
 
-        // Timeout if no one guesses in 30s
-        setTimeout(() => {
-            if (room.roundActive && room.currentSong === song) {
-                room.roundActive = false;
-                io.to(roomId).emit('round_timeout', { song: song });
-                setTimeout(() => {
-                    startRound(roomId);
-                }, 5000);
+// Ends the current round; a song the host skipped costs nobody a life
+function finishRound(roomId, skippedByHost = false) {
+    const room = rooms[roomId];
+    if (!room) return;
+    room.roundActive = false;
+    // Drop the round timeout and any hints still pending
+    room.scheduler.clear();
+
+    // The audio link stops working as soon as the round is over
+    revokeRoomAudio(room);
+    const song = toPublicSong(room.currentSong);
+
+    // Year answers are only scored once everyone has had the chance to answer
+    if (room.settings.gameMode === 'year') {
+        room.roundResults.forEach(r => {
+            r.points = calculateYearPoints(r.year, room.currentSong.releaseYear);
+            const player = room.players.find(p => p.id === r.playerId);
+            if (player && r.points > 0) {
+                player.score += r.points;
+                player.streak += 1;
             }
-        }, 30000);
-    }, 3000);
+        });
+        io.to(roomId).emit('update_scores', { players: room.players, teams: getTeams(room) });
+    }
+
+    // Streaks only survive for players who scored this round
+    const scorers = new Set(room.roundResults.filter(r => r.points > 0).map(r => r.playerId));
+    room.players.forEach(p => { if (!scorers.has(p.id)) p.streak = 0; });
+
+    if (room.settings.gameMode === 'year') {
+        io.to(roomId).emit('round_timeout', { song, guesses: room.roundResults });
+    } else if (!isClassicRound(room)) {
+        io.to(roomId).emit('round_over', { song, results: room.roundResults });
+    } else if (room.roundResults.length > 0) {
+        const { player, points, timeMs } = room.roundResults[0];
+        io.to(roomId).emit('round_winner', { player, song, points, timeMs });
+    } else {
+        io.to(roomId).emit('round_timeout', { song });
+    }
+
+    if (room.settings.lives && !skippedByHost) takeLives(room, scorers);
+
+    // Pause to let players see the results and song info
+    room.scheduler.schedule(() => startRound(roomId), room.settings.timers.intermission * 1000);
+}
+
+// Elimination mode: players who missed the round (or trail everyone) lose a life, and
+// those out of lives become spectators
+function takeLives(room, scorers) {
+    const losers = getLifeLosers(room.players, scorers);
+    if (losers.length === 0) return;
+
+    losers.forEach(p => { p.lives -= 1; });
+    const out = losers.filter(p => p.lives === 0);
+    out.forEach(p => {
+        p.eliminatedInRound = room.currentRound;
+        io.to(room.id).emit('player_eliminated', { playerId: p.id, player: p.name, round: room.currentRound });
+        console.log(`Room ${room.id} ${p.name} eliminated in round ${room.currentRound}`);
+    });
+    room.players = room.players.filter(p => !out.includes(p));
+    room.spectators.push(...out);
+    broadcastMembers(room);
+}
+
+// Vote-to-skip passed: the song does not count, and a backup song (if any) is played as the same round
+function replaceCurrentSong(roomId) {
+    const room = rooms[roomId];
+    room.roundActive = false;
+    room.scheduler.clear();
+    revokeRoomAudio(room);
+
+    // Points already won on this song are taken back and wrong-guess penalties refunded,
+    // but nobody loses a streak over it
+    room.players.forEach(p => {
+        p.score += room.roundPenalties[p.id] || 0;
+        const won = room.roundResults.filter(r => r.playerId === p.id && r.points > 0);
+        if (won.length === 0) return;
+        p.score -= won.reduce((sum, r) => sum + r.points, 0);
+        p.streak -= 1;
+    });
+    room.roundPenalties = {};
+    io.to(roomId).emit('update_scores', { players: room.players, teams: getTeams(room) });
+
+    const song = toPublicSong(room.currentSong);
+    room.skippedSongs.push(song);
+
+    const index = room.currentRound - 1;
+    const backup = room.backupSongs.shift();
+    if (backup) {
+        room.songs.splice(index, 1, backup);
+    } else {
+        room.songs.splice(index, 1);
+        room.totalRounds--;
+    }
+    room.currentRound--;
+
+    console.log(`Room ${roomId} skipped ${song.title} by vote${backup ? '' : ' (no backup left)'}`);
+    io.to(roomId).emit('song_skipped', { song, totalRounds: room.totalRounds });
+    room.scheduler.schedule(() => startRound(roomId), room.settings.timers.intermission * 1000);
 }
 
 function endGame(roomId) {
     if (rooms[roomId]) {
         rooms[roomId].state = 'ENDED';
-        io.to(roomId).emit('game_over', rooms[roomId].players);
-        // Schedule room cleanup after 30 minutes
-        setTimeout(() => {
+        io.to(roomId).emit('game_over', {
+            players: getContestants(rooms[roomId]),
+            teams: getTeams(rooms[roomId]),
+            skipped: rooms[roomId].skippedSongs
+        });
+        // Schedule room cleanup after 30 minutes, unless a rematch starts first
+        rooms[roomId].cleanupTimeoutId = setTimeout(() => {
+            sessions.revokeRoomSessions(roomId);
             delete rooms[roomId];
             console.log(`Room ${roomId} cleaned up after game end`);
         }, 30 * 60 * 1000);
@@ -359,3 +1501,6 @@ function endGame(roomId) {
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
+
+// The socket integration tests drive this same server (started with PORT=0)
+module.exports = { server, io };
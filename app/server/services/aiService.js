@@ -20,8 +20,9 @@ async function getSongListFromAI({ genres, decade, language, difficulty, count }
     - Lingua: ${language || "Qualsiasi"}
     - Livello di Oscurità/Difficoltà: ${difficulty === 'hard' ? 'Canzoni meno note, B-sides, o artisti di nicchia (NON HIT GLOBALI)' : 'Grandi successi commerciali e Hit famose'}
 
-    Restituisci un array JSON di oggetti. Ogni oggetto deve avere esattamente queste chiavi: "artist", "title".
-    Esempio: [{"artist": "Pino Daniele", "title": "Je so' pazzo"}]`;
+    Restituisci un array JSON di oggetti. Ogni oggetto deve avere esattamente queste chiavi: "artist", "title", "aliases".
+    "aliases" è un array (anche vuoto) di altri titoli con cui la canzone è conosciuta: traduzioni, sottotitoli ufficiali, soprannomi comuni.
+    Esempio: [{"artist": "Domenico Modugno", "title": "Nel blu, dipinto di blu", "aliases": ["Volare"]}]`;
 
     try {
         const result = await model.generateContent(prompt);
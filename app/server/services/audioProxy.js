@@ -0,0 +1,80 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { stripMetadata } = require('../utils/audioMetadata');
+
+const MAX_PREVIEW_BYTES = 10 * 1024 * 1024;
+
+// Opaque token -> { url, audio }; audio is the (shared) download promise once requested
+const tokens = new Map();
+
+/**
+ * Registers a preview URL under a new opaque token
+ * @param {string} previewUrl - Apple preview URL (never sent to clients)
+ * @returns {string} - 32-char hex token
+ */
+function createAudioToken(previewUrl) {
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.set(token, { url: previewUrl, audio: null });
+    return token;
+}
+
+/**
+ * Invalidates a token (e.g. when the round ends)
+ * @param {string} token
+ */
+function revokeAudioToken(token) {
+    tokens.delete(token);
+}
+
+/**
+ * Downloads (once per token) and returns the cleaned audio
+ * @param {string} token
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>} - null for unknown or expired tokens
+ */
+async function getAudio(token) {
+    const entry = tokens.get(token);
+    if (!entry) return null;
+
+    if (!entry.audio) {
+        entry.audio = axios.get(entry.url, {
+            responseType: 'arraybuffer',
+            timeout: 5000,
+            maxContentLength: MAX_PREVIEW_BYTES
+        }).then(response => ({
+            buffer: stripMetadata(Buffer.from(response.data)),
+            contentType: response.headers?.['content-type'] || 'audio/mp4'
+        })).catch(error => {
+            // Let the next request retry instead of caching the failure
+            entry.audio = null;
+            throw error;
+        });
+    }
+    return entry.audio;
+}
+
+/**
+ * Parses a single "bytes=start-end" Range header (what audio elements send)
+ * @param {string|undefined} header - Value of the Range header
+ * @param {number} size - Total length of the resource
+ * @returns {{start: number, end: number}|null|undefined} - Range, null if unsatisfiable, undefined if absent
+ */
+function parseRange(header, size) {
+    if (!header) return undefined;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: last N bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    if (start >= size || start > end) return null;
+    return { start, end };
+}
+
+module.exports = { createAudioToken, revokeAudioToken, getAudio, parseRange };
@@ -1,6 +1,20 @@
 const axios = require('axios');
 const { detectLanguage } = require('../utils/languageDetection');
 
+// Anno di uscita dal campo releaseDate di iTunes (es. "1995-10-02T07:00:00Z"), null se assente
+function getReleaseYear(releaseDate) {
+    if (!releaseDate) return null;
+    const year = new Date(releaseDate).getUTCFullYear();
+    return Number.isNaN(year) ? null : year;
+}
+
+// Titoli alternativi da iTunes: versione censurata e titolo del singolo ("Titolo - Single"/"Titolo - EP")
+function getAlternateTitles(track) {
+    const single = /^(.+) - (?:Single|EP)$/.exec(track.collectionName || '');
+    const variants = [track.trackCensoredName, single && single[1]];
+    return [...new Set(variants.filter(t => t && t !== track.trackName))];
+}
+
 // --- Metodo Vecchio (Ricerca Casuale) ---
 async function getRandomSongs(genre = 'pop', limit = 10, language = null, difficulty = 'hard') {
     try {
@@ -45,7 +59,8 @@ async function getRandomSongs(genre = 'pop', limit = 10, language = null, diffic
             title: song.trackName,
             artist: song.artistName,
             previewUrl: song.previewUrl,
-            artwork: song.artworkUrl100
+            artwork: song.artworkUrl100,
+            releaseYear: getReleaseYear(song.releaseDate)
         }));
     } catch (error) {
         console.error('Error fetching songs:', error.message);
@@ -84,7 +99,9 @@ async function searchAndGetPreview(queryOrArtist, title = null) {
                 title: track.trackName,
                 artist: track.artistName,
                 previewUrl: track.previewUrl,
-                artwork: track.artworkUrl100
+                artwork: track.artworkUrl100,
+                releaseYear: getReleaseYear(track.releaseDate),
+                answers: getAlternateTitles(track)
             };
         }
         return null;
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Opaque session token -> { roomId, playerId }; lets a player take their seat back after a dropped connection
+const sessions = new Map();
+
+/**
+ * Issues a new session token for a player seat
+ * @param {string} roomId
+ * @param {string} playerId - Stable player ID (not the socket ID, which changes on reconnect)
+ * @returns {string} - 32-char hex token, only ever sent to that player
+ */
+function createSession(roomId, playerId) {
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions.set(token, { roomId, playerId });
+    return token;
+}
+
+/**
+ * Looks up the seat a token belongs to
+ * @param {string} token
+ * @returns {{roomId: string, playerId: string}|null} - null for unknown or revoked tokens
+ */
+function getSession(token) {
+    return sessions.get(token) || null;
+}
+
+/**
+ * Lists the tokens issued for a player (used to ban them from a room)
+ * @param {string} playerId
+ * @returns {string[]}
+ */
+function getPlayerSessions(playerId) {
+    return [...sessions].filter(([, session]) => session.playerId === playerId).map(([token]) => token);
+}
+
+/**
+ * Invalidates every token issued for a player (they left for good or the room was deleted)
+ * @param {string} playerId
+ */
+function revokePlayerSessions(playerId) {
+    for (const [token, session] of sessions) {
+        if (session.playerId === playerId) sessions.delete(token);
+    }
+}
+
+/**
+ * Invalidates every token issued for a room, including players waiting for a rematch (the room was deleted)
+ * @param {string} roomId
+ */
+function revokeRoomSessions(roomId) {
+    for (const [token, session] of sessions) {
+        if (session.roomId === roomId) sessions.delete(token);
+    }
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    getPlayerSessions,
+    revokePlayerSessions,
+    revokeRoomSessions
+};
@@ -0,0 +1,104 @@
+/**
+ * Text normalization applied to guesses and titles before they are compared:
+ * numbers spelled out, "&"/"+" as the language's "and", contractions expanded
+ */
+
+// Number words for 0-99 (accents already stripped). Larger numbers, e.g. years, stay as digits.
+const NUMBER_WORDS = {
+    en: {
+        units: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+            'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+        tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety']
+    },
+    it: {
+        units: ['zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove',
+            'dieci', 'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici', 'diciassette', 'diciotto', 'diciannove'],
+        tens: ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta']
+    },
+    es: {
+        units: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+            'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciseis', 'diecisiete', 'dieciocho', 'diecinueve'],
+        tens: ['', '', 'veinte', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa']
+    }
+};
+
+// What "&" and "+" stand for
+const AND_WORDS = { en: 'and', it: 'e', es: 'y' };
+
+// Contractions, keyed by how they read once the apostrophe is gone
+const CONTRACTIONS = {
+    dont: 'do not', doesnt: 'does not', didnt: 'did not', cant: 'can not', cannot: 'can not', wont: 'will not',
+    isnt: 'is not', arent: 'are not', wasnt: 'was not', werent: 'were not',
+    havent: 'have not', hasnt: 'has not', hadnt: 'had not',
+    couldnt: 'could not', shouldnt: 'should not', wouldnt: 'would not',
+    im: 'i am', ive: 'i have', youre: 'you are', youve: 'you have', youll: 'you will', youd: 'you would',
+    theyre: 'they are', weve: 'we have', thats: 'that is', whats: 'what is', hes: 'he is', shes: 'she is', theres: 'there is',
+    gonna: 'going to', wanna: 'want to', gotta: 'got to', gimme: 'give me', lemme: 'let me',
+    til: 'until', em: 'them'
+};
+
+// Words cut short with an apostrophe: "po'" (it), "pa'" and "na'" (es)
+const TRUNCATIONS = { po: 'poco', pa: 'para', na: 'nada' };
+
+/**
+ * Spells out a number in the given language
+ * @param {number} n - Integer between 0 and 99
+ * @param {('en'|'it'|'es')} language
+ * @returns {string} - e.g. "twenty one", "ventuno", "veintiuno"
+ */
+function numberToWords(n, language) {
+    const { units, tens } = NUMBER_WORDS[language];
+    if (n < 20) return units[n];
+
+    const ten = tens[Math.floor(n / 10)];
+    const unit = n % 10;
+    if (unit === 0) return ten;
+
+    if (language === 'it') {
+        // "venti" + "uno" -> "ventuno", "trenta" + "otto" -> "trentotto"
+        const stem = unit === 1 || unit === 8 ? ten.slice(0, -1) : ten;
+        return stem + units[unit];
+    }
+    if (language === 'es') {
+        // 21-29 are single words ("veintiuno"), the others take "y" ("treinta y uno")
+        return n < 30 ? `veinti${units[unit]}` : `${ten} y ${units[unit]}`;
+    }
+    return `${ten} ${units[unit]}`;
+}
+
+/**
+ * Normalizes a guess or title for comparison: lowercase, no accents, punctuation or "(Remix)"/"feat." parts,
+ * numbers spelled out, "&"/"+" as "and", contractions expanded
+ * @param {string} str - Text to normalize
+ * @param {('en'|'it'|'es')} [language='en'] - Language used for numbers and "and" (the title's, so both sides agree)
+ * @returns {string}
+ */
+function normalizeAnswer(str, language = 'en') {
+    const lang = NUMBER_WORDS[language] ? language : 'en';
+
+    const text = str
+        .toLowerCase()
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "") // remove accents
+        .replace(/[‘’`]/g, "'") // curly apostrophes
+        .replace(/\(.*?\)/g, '') // remove parentheses e.g. (Remix)
+        .replace(/\bfeat\.?\b.*$/g, '') // drop "feat." and following
+        .replace(/[&+]/g, ` ${AND_WORDS[lang]} `)
+        .replace(/\b(\w+)in'(?=\s|$)/g, '$1ing') // "lovin'" -> "loving"
+        .replace(/\b(po|pa|na)'(?=\s|$)/g, (_, word) => TRUNCATIONS[word])
+        .replace(/(\w)'(t|s|re|m|ll|ve|d)\b/g, '$1$2') // "don't" -> "dont", expanded below
+        .replace(/[^\w\s]/g, ' ') // remove special chars
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return text
+        .split(' ')
+        .map(word => {
+            if (CONTRACTIONS[word]) return CONTRACTIONS[word];
+            if (word === 'n') return AND_WORDS[lang]; // "rock 'n' roll"
+            if (/^(0|[1-9]\d?)$/.test(word)) return numberToWords(Number(word), lang);
+            return word;
+        })
+        .join(' ');
+}
+
+module.exports = { normalizeAnswer, numberToWords };
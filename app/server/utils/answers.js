@@ -0,0 +1,49 @@
+/**
+ * Alternate titles accepted for a song: iTunes variants, AI aliases and the curated alias list
+ */
+
+const { checkAnswer } = require('./checkAnswer');
+const CURATED_ALIASES = require('../data/aliases.json');
+
+// Caps on what a single song can carry (AI aliases are free-form text)
+const MAX_ANSWERS = 10;
+const MAX_ANSWER_LENGTH = 100;
+
+/**
+ * Curated aliases for a song, matched loosely so "Blue (Da Ba Dee) [Radio Edit]" still finds "Blue (Da Ba Dee)"
+ * @param {{ title: string, artist: string }} song
+ * @returns {string[]}
+ */
+function getCuratedAliases(song) {
+    return CURATED_ALIASES
+        .filter(entry => checkAnswer(song.title, entry.title) && checkAnswer(song.artist, entry.artist))
+        .flatMap(entry => entry.aliases);
+}
+
+/**
+ * Builds the list of alternate answers for a song found on iTunes.
+ * AI aliases are only trusted when iTunes returned the song the AI asked for.
+ * @param {{ title: string, artist: string, answers?: string[] }} song - iTunes result (answers: iTunes title variants)
+ * @param {{ title?: string, artist?: string, aliases?: string[] }} [recommendation] - AI suggestion the song was searched for
+ * @returns {string[]} - Alternate titles, without the canonical one or duplicates
+ */
+function collectAnswers(song, recommendation) {
+    const sameSong = recommendation &&
+        checkAnswer(recommendation.title, song.title) &&
+        checkAnswer(recommendation.artist, song.artist);
+    const aiAliases = sameSong && Array.isArray(recommendation.aliases) ? recommendation.aliases : [];
+
+    const seen = new Set([song.title.toLowerCase()]);
+    const answers = [];
+    for (const answer of [...(song.answers || []), ...aiAliases, ...getCuratedAliases(song)]) {
+        if (typeof answer !== 'string') continue;
+        const text = answer.trim();
+        const key = text.toLowerCase();
+        if (!text || text.length > MAX_ANSWER_LENGTH || seen.has(key)) continue;
+        seen.add(key);
+        answers.push(text);
+    }
+    return answers.slice(0, MAX_ANSWERS);
+}
+
+module.exports = { collectAnswers, getCuratedAliases, MAX_ANSWERS };
@@ -0,0 +1,78 @@
+/**
+ * Removes identifying metadata (ID3 tags, MP4 user data) from preview audio
+ * without re-encoding, so the proxied file cannot be looked up by its tags
+ */
+
+// MP4 boxes that may contain other boxes we need to inspect
+const MP4_CONTAINERS = new Set(['moov', 'trak']);
+// MP4 boxes that carry tags (title, artist, album, cover art...)
+const MP4_METADATA = new Set(['udta', 'meta']);
+
+function stripId3(buffer) {
+    let start = 0;
+    let end = buffer.length;
+
+    // ID3v2 header: "ID3", version (2), flags (1), syncsafe size (4)
+    if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+        const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+        const hasFooter = (buffer[5] & 0x10) !== 0;
+        start = Math.min(buffer.length, 10 + size + (hasFooter ? 10 : 0));
+    }
+    // ID3v1 trailer: last 128 bytes starting with "TAG"
+    if (end - start >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+        end -= 128;
+    }
+    return buffer.subarray(start, end);
+}
+
+/**
+ * Blanks metadata boxes in place by turning them into "free" boxes of the same size,
+ * so chunk offsets stored elsewhere in the file stay valid
+ */
+function blankMp4Metadata(buffer, start, end) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            // 64-bit size follows the type
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            // Box extends to the end of its parent
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+
+        if (MP4_METADATA.has(type)) {
+            buffer.write('free', offset + 4, 'latin1');
+            buffer.fill(0, offset + headerSize, offset + size);
+        } else if (MP4_CONTAINERS.has(type)) {
+            blankMp4Metadata(buffer, offset + headerSize, offset + size);
+        }
+        offset += size;
+    }
+}
+
+function isMp4(buffer) {
+    return buffer.length >= 8 && buffer.toString('latin1', 4, 8) === 'ftyp';
+}
+
+/**
+ * Returns a copy of the audio with metadata removed
+ * @param {Buffer} buffer - Original audio file (M4A/AAC or MP3)
+ * @returns {Buffer} - Cleaned copy; unknown formats are returned unchanged (copied)
+ */
+function stripMetadata(buffer) {
+    if (isMp4(buffer)) {
+        const copy = Buffer.from(buffer);
+        blankMp4Metadata(copy, 0, copy.length);
+        return copy;
+    }
+    return Buffer.from(stripId3(buffer));
+}
+
+module.exports = { stripMetadata };
@@ -1,30 +1,105 @@
+const { normalizeAnswer } = require('./answerNormalization');
+const { detectLanguage } = require('./languageDetection');
+const { soundsAlike } = require('./phonetic');
+
+// Thresholds for each answer strictness preset, picked per room in the lobby:
+// - overlap: share of the title's significant words the guess needs (null turns the token tier off)
+// - similarity: Levenshtein similarity needed for a typo to pass (null turns the fuzzy tier off)
+// - lengthCutoff: relative length difference past which two strings are not compared letter by letter
+// - close: similarity from which a wrong guess is reported as "almost"
+// - phonetic: whether the room's sounds-alike option applies at all
+const STRICTNESS_PRESETS = {
+    lenient: { overlap: 0.6, similarity: 0.65, lengthCutoff: 0.4, close: 0.5, phonetic: true },
+    standard: { overlap: 0.8, similarity: 0.75, lengthCutoff: 0.3, close: 0.6, phonetic: true },
+    strict: { overlap: 1, similarity: 0.9, lengthCutoff: 0.15, close: 0.75, phonetic: false },
+    exact: { overlap: null, similarity: null, lengthCutoff: 0.3, close: 0.75, phonetic: false }
+};
+const DEFAULT_STRICTNESS = 'standard';
+// Even when it sounds right, a guess must still be spelled this close to the answer ("Sorry" is not "Sure")
+const PHONETIC_MIN_SIMILARITY = 0.5;
+
 /**
- * Answer validation function with 5-tiered matching strategy
+ * Levenshtein distance using two rows instead of the full matrix, bounded Ukkonen-style:
+ * only cells within maxDistance of the diagonal are filled, and it gives up as soon as a whole row exceeds the bound
+ * @param {string} s1
+ * @param {string} s2
+ * @param {number} [maxDistance=Infinity] - Largest distance worth knowing
+ * @returns {number} - The edit distance, or Infinity when it is larger than maxDistance
+ */
+function levenshtein(s1, s2, maxDistance = Infinity) {
+    // Rows follow the shorter string
+    const [long, short] = s1.length >= s2.length ? [s1, s2] : [s2, s1];
+    if (long.length - short.length > maxDistance) return Infinity;
+
+    let prev = new Array(short.length + 1);
+    let curr = new Array(short.length + 1);
+    for (let j = 0; j <= short.length; j++) prev[j] = j;
+
+    for (let i = 1; i <= long.length; i++) {
+        const from = Math.max(1, i - maxDistance);
+        const to = Math.min(short.length, i + maxDistance);
+        // Cells just outside the band are read by the next cell/row: mark them out of reach
+        curr[0] = i;
+        if (from > 1) curr[from - 1] = Infinity;
+        let rowMin = from === 1 ? i : Infinity;
+
+        for (let j = from; j <= to; j++) {
+            const cost = long[i - 1] === short[j - 1] ? 0 : 1;
+            curr[j] = Math.min(
+                prev[j] + 1, // deletion
+                curr[j - 1] + 1, // insertion
+                prev[j - 1] + cost // substitution
+            );
+            if (curr[j] < rowMin) rowMin = curr[j];
+        }
+        if (to < short.length) curr[to + 1] = Infinity;
+
+        if (rowMin > maxDistance) return Infinity;
+        [prev, curr] = [curr, prev];
+    }
+
+    return prev[short.length] <= maxDistance ? prev[short.length] : Infinity;
+}
+
+const MISS = { match: false, tier: null, similarity: null, overlap: 0, close: false };
+
+/**
+ * Answer validation with a tiered matching strategy, reporting how the guess fared
  * @param {string} guess - User's answer
- * @param {string} actual - Correct song title
- * @returns {boolean} - Whether the guess is acceptable
+ * @param {string|string[]} actual - Correct song title, or every accepted title (canonical one plus aliases)
+ * @param {Object} [options]
+ * @param {string} [options.strictness='standard'] - Key of STRICTNESS_PRESETS; "exact" only accepts the normalized title
+ * @param {boolean} [options.phonetic=false] - Also accept guesses that sound like the answer ("Bionse" for "Beyoncé")
+ * @returns {{ match: boolean, tier: ('exact'|'tokens'|'fuzzy'|'phonetic'|null), similarity: (number|null), overlap: number, close: boolean }}
+ *   - similarity is null when it was not measured: the token tier accepted the guess first, or the guess is too far
+ *   from the title (lengths too different, or under the preset's close threshold) for the exact distance to be worth computing.
+ *   close flags a wrong guess just under the preset's fuzzy threshold.
+ *   With several titles, the first match wins, otherwise the closest miss is reported
  */
-function checkAnswer(guess, actual) {
-    if (!guess || !actual) return false;
+function evaluateAnswer(guess, actual, options = {}) {
+    if (!Array.isArray(actual)) return evaluateTitle(guess, actual, options);
 
-    // Normalize strings: lowercase, remove punctuation, collapse spaces
-    const clean = (str) =>
-        str
-            .toLowerCase()
-            .normalize("NFD").replace(/[\u0300-\u036f]/g, "") // remove accents
-            .replace(/\(.*?\)/g, '') // remove parentheses e.g. (Remix)
-            .replace(/\bfeat\.?\b.*$/g, '') // drop "feat." and following
-            .replace(/[^\w\s]/g, ' ') // remove special chars
-            .replace(/\s+/g, ' ')
-            .trim();
+    const results = actual.map(title => evaluateTitle(guess, title, options));
+    return results.find(r => r.match) ||
+        results.reduce((best, r) => ((r.similarity ?? 0) > (best.similarity ?? 0) ? r : best), { ...MISS });
+}
+
+// Evaluates a guess against a single title
+function evaluateTitle(guess, actual, options) {
+    const miss = { ...MISS };
+    if (!guess || !actual) return miss;
+
+    const preset = STRICTNESS_PRESETS[options.strictness] || STRICTNESS_PRESETS[DEFAULT_STRICTNESS];
 
-    const g = clean(guess);
-    const a = clean(actual);
+    // Normalize both strings in the title's language, so "2" and "two" or "&" and "and" compare equal
+    const language = detectLanguage(actual) || 'en';
+    const g = normalizeAnswer(guess, language);
+    const a = normalizeAnswer(actual, language);
 
-    if (!g || !a) return false;
+    if (!g || !a) return miss;
 
     // 1. Exact match
-    if (g === a) return true;
+    if (g === a) return { match: true, tier: 'exact', similarity: 1, overlap: 1, close: false };
 
     // 2. Token-based overlap (handles "The Beatles" vs "Beatles")
     const getTokens = (str) => {
@@ -39,6 +114,7 @@ function checkAnswer(guess, actual) {
     const finalGTokens = gTokens.size > 0 ? gTokens : new Set(g.split(' ').filter(w => w));
     const finalATokens = aTokens.size > 0 ? aTokens : new Set(a.split(' ').filter(w => w));
 
+    let overlapRatio = 0;
     if (finalATokens.size > 0) {
         const intersection = [...finalGTokens].filter(x => finalATokens.has(x));
         // Require high overlap: 
@@ -46,48 +122,111 @@ function checkAnswer(guess, actual) {
         // We also check that guess doesn't have too many *extra* words? 
         // For now, let's stick to user's "80%" idea or simply:
         // If > 75% of answer's important tokens are in guess.
-        const overlapRatio = intersection.length / finalATokens.size;
+        overlapRatio = intersection.length / finalATokens.size;
 
         // Also check if guess is not wildly different in length (prevent "Love" matching "I Love You And More...")
         // Actually, if I say "Queen" and answer is "Queen", ratio is 1.
         // If answer is "Dancing Queen", guess "Queen", ratio 0.5.
         // If threshold is 0.8, "Dancing Queen" fails "Queen". This is probably correct.
         // But "The Beatles" (tokens: Beatles) vs "Beatles" (tokens: Beatles) -> 1.0. Correct.
-        if (overlapRatio >= 0.8) return true;
+        if (preset.overlap !== null && overlapRatio >= preset.overlap) {
+            return { match: true, tier: 'tokens', similarity: null, overlap: overlapRatio, close: false };
+        }
     }
 
     // 3. Levenshtein distance similarity for typos
-    const similarity = (s1, s2) => {
+    const usePhonetic = options.phonetic && preset.phonetic;
+    const similarity = (s1, s2, minScore) => {
         const len1 = s1.length;
         const len2 = s2.length;
-        if (len1 === 0 || len2 === 0) return 0;
+        if (len1 === 0 || len2 === 0) return null;
 
         // Optimization: if length difference is too big, similarity will definitely be low
-        if (Math.abs(len1 - len2) / Math.max(len1, len2) > 0.3) return 0;
-
-        const dp = Array.from({ length: len1 + 1 }, () => new Array(len2 + 1).fill(0));
-        for (let i = 0; i <= len1; i++) dp[i][0] = i;
-        for (let j = 0; j <= len2; j++) dp[0][j] = j;
-
-        for (let i = 1; i <= len1; i++) {
-            for (let j = 1; j <= len2; j++) {
-                const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
-                dp[i][j] = Math.min(
-                    dp[i - 1][j] + 1, // deletion
-                    dp[i][j - 1] + 1, // insertion
-                    dp[i - 1][j - 1] + cost // substitution
-                );
-            }
-        }
+        if (Math.abs(len1 - len2) / Math.max(len1, len2) > preset.lengthCutoff) return null;
 
-        const dist = dp[len1][len2];
+        // Scores below minScore are not worth knowing, so the edit distance only needs computing up to that bound
         const maxLen = Math.max(len1, len2);
-        return 1 - dist / maxLen;
+        const maxDistance = Math.floor((1 - minScore) * maxLen + 1e-9);
+        const dist = levenshtein(s1, s2, maxDistance);
+        return dist === Infinity ? null : 1 - dist / maxLen;
     };
 
-    // Stricter threshold for fuzzy match (0.75 allows 1 error in 4 chars, e.g. "Sonf" for "Song")
+    // Stricter threshold for fuzzy match (the standard 0.75 allows 1 error in 4 chars, e.g. "Sonf" for "Song")
     // This prevents "a" roughly matching short words or just general noise
-    return similarity(g, a) >= 0.75;
+    const rawScore = similarity(g, a, usePhonetic ? Math.min(preset.close, PHONETIC_MIN_SIMILARITY) : preset.close);
+    if (preset.similarity !== null && rawScore !== null && rawScore >= preset.similarity) {
+        return { match: true, tier: 'fuzzy', similarity: rawScore, overlap: overlapRatio, close: false };
+    }
+
+    // 4. Phonetic match, when the room opts in: spelled differently but sounds the same
+    if (usePhonetic && rawScore !== null && rawScore >= PHONETIC_MIN_SIMILARITY &&
+        soundsAlike([...finalGTokens], [...finalATokens], preset.overlap)) {
+        return { match: true, tier: 'phonetic', similarity: rawScore, overlap: overlapRatio, close: false };
+    }
+
+    // Misses report the same similarity whether or not the phonetic tier looked further down
+    const score = rawScore !== null && rawScore >= preset.close ? rawScore : null;
+
+    return {
+        match: false,
+        tier: null,
+        similarity: score,
+        overlap: overlapRatio,
+        close: score !== null
+    };
+}
+
+/**
+ * Boolean form of evaluateAnswer()
+ * @param {string} guess - User's answer
+ * @param {string|string[]} actual - Correct song title, or every accepted title
+ * @param {Object} [options] - See evaluateAnswer()
+ * @returns {boolean} - Whether the guess is acceptable
+ */
+function checkAnswer(guess, actual, options) {
+    return evaluateAnswer(guess, actual, options).match;
+}
+
+/**
+ * Titles accepted for a song: the canonical one first, then its alternate answers
+ * @param {{ title: string, answers?: string[] }} song
+ * @returns {string[]}
+ */
+function getAcceptedTitles(song) {
+    return [song.title, ...(song.answers || [])];
+}
+
+/**
+ * Evaluates a guess independently against several fields of a song (the title also accepts song.answers)
+ * @param {string} guess - User's answer
+ * @param {Object} song - Song object, e.g. { title, artist, answers }
+ * @param {string[]} fields - Fields to check, e.g. ['title', 'artist']
+ * @param {Object} [options] - See evaluateAnswer()
+ * @returns {{ matched: string[], close: string[] }} - Fields the guess matched (possibly more than one)
+ *   and, among the others, those it nearly matched
+ */
+function evaluateFields(guess, song, fields, options) {
+    if (!song) return { matched: [], close: [] };
+    const results = fields.map(field => [
+        field,
+        evaluateAnswer(guess, field === 'title' ? getAcceptedTitles(song) : song[field], options)
+    ]);
+    return {
+        matched: results.filter(([, r]) => r.match).map(([field]) => field),
+        close: results.filter(([, r]) => r.close).map(([field]) => field)
+    };
+}
+
+/**
+ * Fields a guess matched, see evaluateFields()
+ * @param {string} guess - User's answer
+ * @param {Object} song - Song object, e.g. { title, artist }
+ * @param {string[]} fields - Fields to check
+ * @param {Object} [options] - See evaluateAnswer()
+ * @returns {string[]}
+ */
+function matchFields(guess, song, fields, options) {
+    return evaluateFields(guess, song, fields, options).matched;
 }
 
-module.exports = { checkAnswer };
+module.exports = { checkAnswer, evaluateAnswer, matchFields, evaluateFields, getAcceptedTitles, levenshtein, STRICTNESS_PRESETS, DEFAULT_STRICTNESS };
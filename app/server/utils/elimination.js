@@ -0,0 +1,30 @@
+/**
+ * Elimination mode: players lose lives until a single one is left
+ */
+
+// Lives the host can give each player (0 turns the mode off)
+const LIVES_OPTIONS = [1, 3, 5];
+
+/**
+ * Picks who loses a life at the end of a round: everyone who did not score,
+ * or, when all of them did, the player(s) with the lowest total.
+ * Nobody loses a life if that would knock out every remaining player.
+ * @param {Array<{ id: string, score: number, lives: number }>} players - Players still in the game
+ * @param {Set<string>} scorerIds - IDs of the players who scored this round
+ * @returns {Array<Object>} - The players losing a life
+ */
+function getLifeLosers(players, scorerIds) {
+    let losers = players.filter(p => !scorerIds.has(p.id));
+    if (losers.length === 0) {
+        const lowest = Math.min(...players.map(p => p.score));
+        losers = players.filter(p => p.score === lowest);
+    }
+
+    const survivors = players.filter(p => !losers.includes(p) || p.lives > 1);
+    return survivors.length === 0 ? [] : losers;
+}
+
+module.exports = {
+    getLifeLosers,
+    LIVES_OPTIONS
+};
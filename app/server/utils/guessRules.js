@@ -0,0 +1,45 @@
+/**
+ * Wrong-guess rules for typed answers: point penalty, cooldown and guess cap per round
+ */
+
+// Allowed range and default for each rule (all off by default)
+const GUESS_RULE_LIMITS = {
+    penalty: { min: 0, max: 50, default: 0 }, // points lost per wrong guess
+    cooldown: { min: 0, max: 10, default: 0 }, // seconds before the next guess
+    maxGuesses: { min: 0, max: 20, default: 0 } // guesses per round, 0 = unlimited
+};
+
+/**
+ * Validates the wrong-guess rules chosen in the lobby, clamping each one into its allowed range
+ * @param {Object} [rules] - { penalty, cooldown, maxGuesses } as sent by the client
+ * @returns {{ penalty: number, cooldown: number, maxGuesses: number }}
+ */
+function resolveGuessRules(rules) {
+    const source = rules && typeof rules === 'object' ? rules : {};
+    const resolved = {};
+
+    for (const [name, limits] of Object.entries(GUESS_RULE_LIMITS)) {
+        const value = parseInt(source[name], 10);
+        resolved[name] = Number.isNaN(value)
+            ? limits.default
+            : Math.max(limits.min, Math.min(limits.max, value));
+    }
+
+    return resolved;
+}
+
+/**
+ * Points actually taken for a wrong guess: scores never go below zero
+ * @param {number} score - Player's current score
+ * @param {number} penalty - Penalty set for the room
+ * @returns {number}
+ */
+function getWrongGuessPenalty(score, penalty) {
+    return Math.max(0, Math.min(score, penalty));
+}
+
+module.exports = {
+    resolveGuessRules,
+    getWrongGuessPenalty,
+    GUESS_RULE_LIMITS
+};
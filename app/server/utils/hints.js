@@ -0,0 +1,72 @@
+/**
+ * Progressive hints, derived server-side from the current song so the client
+ * never receives the answer before the hint is due
+ */
+
+// Hint offsets as fractions of the round duration, by room preset
+const HINT_PRESETS = {
+    off: [],
+    slow: [0.4, 0.55, 0.7, 0.85],
+    normal: [0.25, 0.45, 0.6, 0.75],
+    fast: [0.15, 0.3, 0.45, 0.6]
+};
+const DEFAULT_HINT_PRESET = 'normal';
+
+// Each hint shown reduces the points still available
+const HINT_PENALTY = 0.15;
+const MIN_HINT_MULTIPLIER = 0.4;
+
+// Letters and digits (any script) become blanks; spaces and punctuation stay visible
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+function toBlanks(title) {
+    return [...title].map(ch => (WORD_CHAR.test(ch) ? '_' : ch)).join('');
+}
+
+function toInitials(title) {
+    let atWordStart = true;
+    return [...title].map(ch => {
+        if (!WORD_CHAR.test(ch)) {
+            atWordStart = true;
+            return ch;
+        }
+        const out = atWordStart ? ch : '_';
+        atWordStart = false;
+        return out;
+    }).join('');
+}
+
+/**
+ * Builds the ordered hint list for a song
+ * @param {Object} song - { title, artist, artwork }
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArtist=true] - False when the artist is itself an answer
+ * @returns {Array<{type: string, text?: string, artwork?: string}>}
+ */
+function buildHints(song, { includeArtist = true } = {}) {
+    const hints = [
+        { type: 'blanks', text: toBlanks(song.title) },
+        { type: 'initials', text: toInitials(song.title) }
+    ];
+    if (includeArtist && song.artist) {
+        hints.push({ type: 'artist', text: song.artist });
+    }
+    if (song.artwork) {
+        // Tiny thumbnail: the client blurs it further, and the full-size image is never sent early
+        hints.push({ type: 'artwork', artwork: song.artwork.replace('100x100', '30x30') });
+    }
+    return hints;
+}
+
+/**
+ * Reduces points according to how many hints were shown before the answer
+ * @param {number} points - Points before the penalty
+ * @param {number} hintsShown - Hints emitted so far this round
+ * @returns {number} - Integer points
+ */
+function applyHintPenalty(points, hintsShown) {
+    const multiplier = Math.max(MIN_HINT_MULTIPLIER, 1 - HINT_PENALTY * Math.max(0, hintsShown));
+    return Math.round(points * multiplier);
+}
+
+module.exports = { buildHints, applyHintPenalty, HINT_PRESETS, DEFAULT_HINT_PRESET };
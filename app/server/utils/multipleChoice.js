@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { checkAnswer, getAcceptedTitles } = require('./checkAnswer');
+const { shuffle } = require('./shuffle');
+
+const OPTION_COUNT = 4;
+
+/**
+ * Builds the options for a multiple-choice round: the real title plus decoys
+ * @param {Object} song - Current song ({ title, answers, ... })
+ * @param {string[]} decoyPool - Candidate decoy titles (other playlist songs, extra AI results)
+ * @param {number} [count=4] - Total number of options, including the real title
+ * @returns {Array<{id: string, title: string, correct: boolean}>} - Shuffled options with opaque IDs
+ */
+function buildOptions(song, decoyPool, count = OPTION_COUNT) {
+    const seen = new Set([song.title.toLowerCase()]);
+    const decoys = [];
+
+    for (const title of shuffle(decoyPool)) {
+        if (decoys.length >= count - 1) break;
+        if (typeof title !== 'string' || !title.trim()) continue;
+        const key = title.toLowerCase();
+        // Skip duplicates and anything close enough to be mistaken for the real title or one of its aliases
+        if (seen.has(key) || checkAnswer(title, getAcceptedTitles(song))) continue;
+        seen.add(key);
+        decoys.push(title);
+    }
+
+    return shuffle([song.title, ...decoys]).map(title => ({
+        id: crypto.randomBytes(4).toString('hex'),
+        title,
+        correct: title === song.title
+    }));
+}
+
+module.exports = { buildOptions, OPTION_COUNT };
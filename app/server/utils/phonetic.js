@@ -0,0 +1,76 @@
+/**
+ * Phonetic keys for typed guesses: words that sound alike get the same key ("Bionse" / "Beyonce").
+ * A simplified Metaphone with spelling rules for English, Italian and Spanish that keeps vowel classes,
+ * so "Halo" and "Hello" stay apart.
+ */
+
+const PHONETIC_LANGUAGES = ['en', 'it', 'es'];
+
+// Spelling -> sound rewrites, applied in order to an already normalized word (lowercase, no accents).
+// X stands for the "sh"/"ch" sound, J for the soft "g", 0 for "th".
+const RULES = {
+    en: [
+        [/tch/g, 'X'], [/sh|ch/g, 'X'], [/th/g, '0'], [/ph/g, 'f'],
+        [/^kn|^gn|^wr/g, m => m[1]], [/gh/g, ''], [/dg/g, 'J'],
+        [/c(?=[eiy])/g, 's'], [/g(?=[eiy])/g, 'J'], [/qu/g, 'kv'], [/ck|q/g, 'k'], [/x/g, 'ks'], [/z/g, 's']
+    ],
+    it: [
+        [/sci(?=[aou])/g, 'X'], [/ci(?=[aou])/g, 'X'], [/gi(?=[aou])/g, 'J'], // silent "i": "giovanni", "ciao"
+        [/sc(?=[ei])/g, 'X'], [/ch/g, 'k'], [/gh/g, 'g'], [/gli/g, 'li'], [/gn/g, 'n'],
+        [/c(?=[ei])/g, 'X'], [/g(?=[ei])/g, 'J'], [/qu/g, 'kv'], [/q/g, 'k'], [/x/g, 'ks'], [/z/g, 's']
+    ],
+    es: [
+        [/ch/g, 'X'], [/ll/g, 'y'], [/qu/g, 'k'], [/gu(?=[ei])/g, 'g'],
+        [/c(?=[ei])/g, 's'], [/g(?=[ei])|j/g, 'h'], [/v/g, 'b'], [/z/g, 's'], [/x/g, 'ks']
+    ]
+};
+
+// Sounds that are spelled differently but heard the same once the rules above ran
+const SOUND_CLASSES = [[/c|q/g, 'k'], [/j/g, 'J'], [/w/g, 'v'], [/h/g, '']];
+
+// Vowels by class: open "a", front "e/i/y", back "o/u". A run of vowels keeps the class of its first one.
+const VOWEL_CLASSES = { a: 'A', e: 'E', i: 'E', y: 'E', o: 'O', u: 'O' };
+
+/**
+ * Phonetic key of a single word: the sounds of its consonants, each run of vowels reduced to its class
+ * @param {string} word - Normalized word (lowercase ascii)
+ * @param {('en'|'it'|'es')} [language='en'] - Spelling rules to use
+ * @returns {string} - e.g. "bEnsE" for both "beyonce" and "bionse"
+ */
+function phoneticKey(word, language = 'en') {
+    let sound = word.replace(/y/g, 'i');
+    for (const [pattern, replacement] of RULES[language] || RULES.en) {
+        sound = sound.replace(pattern, replacement);
+    }
+    for (const [pattern, replacement] of SOUND_CLASSES) {
+        sound = sound.replace(pattern, replacement);
+    }
+
+    // Doubled sounds count once ("nannini" / "nanini", "rock" -> "rokk"), then vowel runs become their class
+    return sound
+        .replace(/(.)\1+/g, '$1')
+        .replace(/[aeiouy]+/g, run => VOWEL_CLASSES[run[0]]);
+}
+
+/**
+ * Whether the guess sounds like the answer in any supported language:
+ * at least `threshold` of the answer's words must have a phonetic twin in the guess
+ * @param {string[]} guessWords - Normalized guess tokens
+ * @param {string[]} answerWords - Normalized answer tokens
+ * @param {number} threshold - Share of answer words that must match (0-1)
+ * @returns {boolean}
+ */
+function soundsAlike(guessWords, answerWords, threshold) {
+    if (guessWords.length === 0 || answerWords.length === 0) return false;
+
+    return PHONETIC_LANGUAGES.some(language => {
+        const guessKeys = new Set(guessWords.map(w => phoneticKey(w, language)));
+        const answerKeys = answerWords.map(w => phoneticKey(w, language));
+        // Keys shorter than two sounds ("a", "io") match far too much to count
+        if (answerKeys.some(key => key.length < 2)) return false;
+        const matched = answerKeys.filter(key => guessKeys.has(key)).length;
+        return matched / answerKeys.length >= threshold;
+    });
+}
+
+module.exports = { phoneticKey, soundsAlike, PHONETIC_LANGUAGES };
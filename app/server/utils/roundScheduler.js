@@ -0,0 +1,90 @@
+/**
+ * Per-room timers for the round loop (countdown, guess window, hints, intermission)
+ * that can be cancelled together and paused/resumed with their remaining time
+ */
+
+/**
+ * Creates an empty scheduler; each room owns one
+ * @returns {Object} - { schedule, clear, pause, resume, getRemaining, isPaused }
+ */
+function createRoundScheduler() {
+    // id -> { fn, remaining, startedAt, handle }
+    const timers = new Map();
+    let nextId = 0;
+    let paused = false;
+
+    const start = (id, entry) => {
+        entry.startedAt = Date.now();
+        entry.handle = setTimeout(() => {
+            timers.delete(id);
+            entry.fn();
+        }, entry.remaining);
+    };
+
+    return {
+        /**
+         * Runs fn after delayMs of unpaused time
+         * @param {Function} fn
+         * @param {number} delayMs
+         * @returns {number} - Timer ID for getRemaining()
+         */
+        schedule(fn, delayMs) {
+            const id = ++nextId;
+            const entry = { fn, remaining: Math.max(0, delayMs), startedAt: null, handle: null };
+            timers.set(id, entry);
+            if (!paused) start(id, entry);
+            return id;
+        },
+
+        // Cancels every pending timer (the paused flag is kept)
+        clear() {
+            timers.forEach(entry => clearTimeout(entry.handle));
+            timers.clear();
+        },
+
+        /**
+         * Freezes every pending timer
+         * @returns {boolean} - false if already paused
+         */
+        pause() {
+            if (paused) return false;
+            paused = true;
+            const now = Date.now();
+            timers.forEach(entry => {
+                clearTimeout(entry.handle);
+                entry.remaining = Math.max(0, entry.remaining - (now - entry.startedAt));
+            });
+            return true;
+        },
+
+        /**
+         * Restarts every frozen timer with the time it had left
+         * @returns {boolean} - false if not paused
+         */
+        resume() {
+            if (!paused) return false;
+            paused = false;
+            timers.forEach((entry, id) => start(id, entry));
+            return true;
+        },
+
+        /**
+         * @param {number} id - Timer ID returned by schedule()
+         * @returns {number|null} - Milliseconds left, null once fired or cancelled
+         */
+        getRemaining(id) {
+            const entry = timers.get(id);
+            if (!entry) return null;
+            if (paused) return entry.remaining;
+            return Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+        },
+
+        isPaused() {
+            return paused;
+        }
+    };
+}
+
+module.exports = {
+    createRoundScheduler
+};
@@ -0,0 +1,97 @@
+/**
+ * Speed-based scoring: the faster a correct answer arrives, the more it is worth
+ */
+
+const MAX_POINTS = 100;
+const MIN_POINTS = 10;
+
+// Stepped tiers, expressed as a fraction of the round duration
+const STEPPED_TIERS = [
+    { upTo: 0.2, points: 100 },
+    { upTo: 0.4, points: 75 },
+    { upTo: 0.7, points: 50 }
+];
+const STEPPED_FLOOR = 25;
+
+// Streak curve: linear decay plus a bonus for each consecutive round won
+const STREAK_BONUS = 20;
+const MAX_STREAK_BONUS = 60;
+
+// "Everyone answers" rounds: later correct answers are worth a fraction of the speed points
+const RANK_MULTIPLIERS = [1, 0.8, 0.6];
+const RANK_MULTIPLIER_FLOOR = 0.5;
+
+// "Guess the year" rounds: points by distance from the release year
+const YEAR_TIERS = [
+    { within: 0, points: 100 },
+    { within: 2, points: 60 },
+    { within: 5, points: 30 }
+];
+
+const SCORING_CURVES = ['linear', 'stepped', 'streak'];
+const DEFAULT_CURVE = 'linear';
+
+/**
+ * Calculates the points awarded for a correct answer
+ * @param {Object} params
+ * @param {number} params.elapsedMs - Milliseconds since the round started
+ * @param {number} params.roundDurationMs - Total length of the guess window
+ * @param {string} [params.curve='linear'] - One of SCORING_CURVES
+ * @param {number} [params.streak=0] - Consecutive rounds the player won before this one
+ * @returns {number} - Integer points, never below MIN_POINTS
+ */
+function calculatePoints({ elapsedMs, roundDurationMs, curve = DEFAULT_CURVE, streak = 0 }) {
+    const ratio = roundDurationMs > 0
+        ? Math.min(1, Math.max(0, elapsedMs / roundDurationMs))
+        : 1;
+
+    const linear = Math.round(MAX_POINTS - (MAX_POINTS - MIN_POINTS) * ratio);
+
+    switch (curve) {
+        case 'stepped': {
+            const tier = STEPPED_TIERS.find(t => ratio <= t.upTo);
+            return tier ? tier.points : STEPPED_FLOOR;
+        }
+        case 'streak':
+            return linear + Math.min(Math.max(0, streak) * STREAK_BONUS, MAX_STREAK_BONUS);
+        case 'linear':
+        default:
+            return linear;
+    }
+}
+
+/**
+ * Scales speed points by the order in which the player answered correctly
+ * @param {number} points - Points from calculatePoints()
+ * @param {number} rank - 1-based position among correct answers this round
+ * @returns {number} - Integer points
+ */
+function applyRank(points, rank) {
+    const multiplier = rank >= 1 && rank <= RANK_MULTIPLIERS.length
+        ? RANK_MULTIPLIERS[rank - 1]
+        : RANK_MULTIPLIER_FLOOR;
+    return Math.round(points * multiplier);
+}
+
+/**
+ * Scores a "guess the year" answer by proximity to the real release year
+ * @param {number} guessYear - Year submitted by the player
+ * @param {number} actualYear - Release year from iTunes
+ * @returns {number} - 100 for the exact year, 60 within 2 years, 30 within 5, otherwise 0
+ */
+function calculateYearPoints(guessYear, actualYear) {
+    if (!Number.isInteger(guessYear) || !Number.isInteger(actualYear)) return 0;
+    const distance = Math.abs(guessYear - actualYear);
+    const tier = YEAR_TIERS.find(t => distance <= t.within);
+    return tier ? tier.points : 0;
+}
+
+module.exports = {
+    calculatePoints,
+    applyRank,
+    calculateYearPoints,
+    SCORING_CURVES,
+    DEFAULT_CURVE,
+    MAX_POINTS,
+    MIN_POINTS
+};
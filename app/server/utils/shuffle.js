@@ -0,0 +1,15 @@
+/**
+ * Fisher-Yates shuffle
+ * @param {Array} array - Source array (not modified)
+ * @returns {Array} - New array with the same items in random order
+ */
+function shuffle(array) {
+    const arr = [...array];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+module.exports = { shuffle };
@@ -0,0 +1,29 @@
+/**
+ * Vote-to-skip: how many players must agree before a broken preview is replaced
+ */
+
+// Votes needed out of the connected players, per room setting
+const SKIP_VOTE_THRESHOLDS = {
+    off: null,
+    majority: n => Math.floor(n / 2) + 1,
+    two_thirds: n => Math.ceil((n * 2) / 3),
+    all: n => n
+};
+const DEFAULT_SKIP_VOTE_THRESHOLD = 'majority';
+
+/**
+ * @param {string} threshold - Key of SKIP_VOTE_THRESHOLDS
+ * @param {number} voterCount - Players who may vote (connected, not spectating)
+ * @returns {number|null} - Votes needed to skip, null when voting is off
+ */
+function getRequiredSkipVotes(threshold, voterCount) {
+    const rule = SKIP_VOTE_THRESHOLDS[threshold];
+    if (!rule || voterCount <= 0) return null;
+    return Math.max(1, rule(voterCount));
+}
+
+module.exports = {
+    getRequiredSkipVotes,
+    SKIP_VOTE_THRESHOLDS,
+    DEFAULT_SKIP_VOTE_THRESHOLD
+};
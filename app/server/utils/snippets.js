@@ -0,0 +1,30 @@
+/**
+ * Heardle-style snippets: the playable part of the preview grows after each
+ * wrong guess or skip, and every extension lowers the points available
+ */
+
+// Playable seconds at each stage
+const SNIPPET_SECONDS = [1, 2, 4, 7, 11, 16];
+// Share of the points still available at each stage
+const SNIPPET_MULTIPLIERS = [1, 0.85, 0.7, 0.55, 0.4, 0.3];
+
+const LAST_STAGE = SNIPPET_SECONDS.length - 1;
+
+/**
+ * @param {number} stage - 0-based snippet stage
+ * @returns {number} - Playable seconds, clamped to the available stages
+ */
+function getSnippetSeconds(stage) {
+    return SNIPPET_SECONDS[Math.min(Math.max(0, stage), LAST_STAGE)];
+}
+
+/**
+ * @param {number} points - Points before the penalty
+ * @param {number} stage - 0-based snippet stage the player reached
+ * @returns {number} - Integer points
+ */
+function applySnippetPenalty(points, stage) {
+    return Math.round(points * SNIPPET_MULTIPLIERS[Math.min(Math.max(0, stage), LAST_STAGE)]);
+}
+
+module.exports = { getSnippetSeconds, applySnippetPenalty, SNIPPET_SECONDS, LAST_STAGE };
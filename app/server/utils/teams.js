@@ -0,0 +1,61 @@
+/**
+ * Team mode: splitting players into teams and adding up their scores
+ */
+
+const { shuffle } = require('./shuffle');
+
+// How many teams the host can split the room into (0 turns team mode off)
+const TEAM_COUNTS = [2, 3, 4];
+
+/**
+ * Spreads players randomly over the teams so sizes differ by one at most
+ * @param {Array<{ id: string }>} players
+ * @param {number} teamCount
+ * @returns {Object<string, number>} - Team index (0-based) by player ID
+ */
+function balanceTeams(players, teamCount) {
+    const teams = {};
+    shuffle(players).forEach((p, i) => {
+        teams[p.id] = i % teamCount;
+    });
+    return teams;
+}
+
+/**
+ * Picks the team a newcomer should join: the one with the fewest players (lowest index on ties)
+ * @param {Array<{ team?: number }>} players
+ * @param {number} teamCount
+ * @returns {number}
+ */
+function getSmallestTeam(players, teamCount) {
+    const sizes = Array(teamCount).fill(0);
+    players.forEach(p => {
+        if (p.team >= 0 && p.team < teamCount) sizes[p.team]++;
+    });
+    return sizes.indexOf(Math.min(...sizes));
+}
+
+/**
+ * Team totals with each member's contribution, best team first
+ * @param {Array<{ id: string, name: string, score: number, team?: number }>} players
+ * @param {number} teamCount
+ * @returns {Array<{ team: number, score: number, players: Array<{ id: string, name: string, score: number }> }>}
+ */
+function getTeamStandings(players, teamCount) {
+    const standings = Array.from({ length: teamCount }, (_, team) => ({ team, score: 0, players: [] }));
+    players.forEach(p => {
+        const entry = standings[p.team];
+        if (!entry) return;
+        entry.score += p.score;
+        entry.players.push({ id: p.id, name: p.name, score: p.score });
+    });
+    standings.forEach(entry => entry.players.sort((a, b) => b.score - a.score));
+    return standings.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    balanceTeams,
+    getSmallestTeam,
+    getTeamStandings,
+    TEAM_COUNTS
+};
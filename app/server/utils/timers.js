@@ -0,0 +1,34 @@
+/**
+ * Round timing settings: countdown before the audio, guess window and pause between rounds
+ */
+
+// Allowed range and default for each timer, in seconds
+const TIMER_LIMITS = {
+    countdown: { min: 1, max: 10, default: 3 },
+    round: { min: 10, max: 120, default: 30 },
+    intermission: { min: 3, max: 30, default: 5 }
+};
+
+/**
+ * Validates the timers chosen in the lobby, clamping each one into its allowed range
+ * @param {Object} [timers] - { countdown, round, intermission } in seconds, as sent by the client
+ * @returns {{ countdown: number, round: number, intermission: number }} - Whole seconds
+ */
+function resolveTimers(timers) {
+    const source = timers && typeof timers === 'object' ? timers : {};
+    const resolved = {};
+
+    for (const [name, limits] of Object.entries(TIMER_LIMITS)) {
+        const value = parseInt(source[name], 10);
+        resolved[name] = Number.isNaN(value)
+            ? limits.default
+            : Math.max(limits.min, Math.min(limits.max, value));
+    }
+
+    return resolved;
+}
+
+module.exports = {
+    resolveTimers,
+    TIMER_LIMITS
+};